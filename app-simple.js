@@ -1,17 +1,3 @@
-// Simple geocoding function - now uses pre-stored coordinates from download script
-async function geocodeLocation(location) {
-    if (locationCache.has(location)) {
-        return locationCache.get(location);
-    }
-    
-    console.log(`⚠️ No pre-geocoded coordinates found for "${location}" - using fallback`);
-    
-    // Simple fallback to San Francisco for unknown locations
-    const fallbackCoords = { lat: 37.7749, lng: -122.4194 };
-    locationCache.set(location, fallbackCoords);
-    return fallbackCoords;
-}
-
 // Update map markers to use pre-stored coordinates
 async function updateMapMarkers() {
     const bounds = map.getBounds();
@@ -30,7 +16,7 @@ async function updateMapMarkers() {
             let coordinates = developer.coordinates;
             
             if (!coordinates && developer.location) {
-                // Fallback to old geocoding for legacy data
+                // Fallback to the offline gazetteer for legacy data
                 coordinates = await geocodeLocation(developer.location);
             }
             
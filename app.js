@@ -3,8 +3,11 @@ let map;
 let markers = [];
 let markerLayers = {};
 let loadedBatches = new Set();
+let loadedTiles = new Set();
+let compactLoaded = false; // Markers come from the compact file; tiles only supply details
 let allDevelopers = new Map(); // Use login as key to avoid duplicates
 let locationCache = new Map();
+let geocoderPromise = null;
 let index = null;
 
 // Progressive loading configuration
@@ -14,29 +17,123 @@ const LOADING_CONFIG = {
     maxBatches: 10,                 // Maximum batches to load
     developersPerView: 100,         // Max developers to show in current view
     minZoomForMore: 5,              // Minimum zoom to load more data
-    loadRadius: 1000,               // km radius to consider for loading more
-    geocodingDelay: 100,            // Delay between geocoding requests
-    markerUpdateDelay: 50           // Delay between marker updates
+    loadRadius: 1000                // Default km radius of a radius search; tiles inside it are loaded
 };
 
-// Major cities for location-based filtering
-const MAJOR_LOCATIONS = [
-    { name: 'San Francisco', lat: 37.7749, lng: -122.4194, aliases: ['sf', 'san francisco', 'bay area'] },
-    { name: 'New York', lat: 40.7128, lng: -74.0060, aliases: ['nyc', 'new york', 'manhattan', 'brooklyn'] },
-    { name: 'London', lat: 51.5074, lng: -0.1278, aliases: ['london', 'uk', 'united kingdom'] },
-    { name: 'Berlin', lat: 52.5200, lng: 13.4050, aliases: ['berlin', 'germany'] },
-    { name: 'Tokyo', lat: 35.6762, lng: 139.6503, aliases: ['tokyo', 'japan'] },
-    { name: 'Seattle', lat: 47.6062, lng: -122.3321, aliases: ['seattle', 'washington'] },
-    { name: 'Austin', lat: 30.2672, lng: -97.7431, aliases: ['austin', 'texas'] },
-    { name: 'Boston', lat: 42.3601, lng: -71.0589, aliases: ['boston', 'massachusetts'] },
-    { name: 'Toronto', lat: 43.6532, lng: -79.3832, aliases: ['toronto', 'canada'] },
-    { name: 'Amsterdam', lat: 52.3676, lng: 4.9041, aliases: ['amsterdam', 'netherlands'] },
-    { name: 'Paris', lat: 48.8566, lng: 2.3522, aliases: ['paris', 'france'] },
-    { name: 'Singapore', lat: 1.3521, lng: 103.8198, aliases: ['singapore'] },
-    { name: 'Sydney', lat: -33.8688, lng: 151.2093, aliases: ['sydney', 'australia'] },
-    { name: 'Mumbai', lat: 19.0760, lng: 72.8777, aliases: ['mumbai', 'bombay', 'india'] },
-    { name: 'Bangalore', lat: 12.9716, lng: 77.5946, aliases: ['bangalore', 'bengaluru', 'india'] }
-];
+// Location confidence thresholds (see location-normalizer.js)
+const MARKER_CONFIG = {
+    minConfidence: 0.2,             // Don't plot developers below this confidence
+    dimBelowConfidence: 0.5,        // Dim markers below this confidence (e.g. country-level)
+    dimmedOpacity: 0.5
+};
+
+// Filter panel configuration (see developer-filters.js)
+const FILTER_CONFIG = {
+    followersScale: 300000,         // Follower count at the right end of the slider (log scale)
+    starsScale: 500000,             // Star count at the right end of the slider (log scale)
+    sliderSteps: 100,               // Slider positions between 0 and the scale
+    maxOptions: 100,                // Languages, companies and countries offered in the pickers
+    debounceMs: 300                 // Wait for the user to stop typing or dragging
+};
+
+let filters = createFilters();
+let filteredCount = 0; // Loaded developers passing the filters
+
+// Shareable links (see url-state.js)
+const URL_STATE_CONFIG = {
+    debounceMs: 300                 // Coalesce changes made together into one history entry
+};
+
+let selectedLogin = null;      // Developer shown in the profile panel
+let markerByLogin = new Map();
+let restoringUrlState = false; // Don't write the URL while applying it
+
+// Profile side panel configuration
+const PROFILE_CONFIG = {
+    nearbyDevelopers: 5,            // Closest developers listed in the panel
+    nearbyRadiusKm: 100,            // How far away a developer still counts as nearby
+    staleAfterDays: 30,             // Flag data older than this (the pipeline's refresh interval)
+    historyEntries: 10              // Moves and company changes listed, newest first
+};
+
+let developerExtras = new Map(); // login -> detail file (top repositories), or null if there is none
+let developerHistory = null;     // login -> [{ changed_at, changes }] from data/history.json, once loaded
+let historyPromise = null;
+let detailRequests = new Map();  // Tile file -> pending load, shared by the popup and the profile panel
+
+// Radius search configuration (right-click the map or type a place)
+const RADIUS_CONFIG = {
+    circleStyle: {
+        color: '#f78166',
+        weight: 2,
+        fillOpacity: 0.08,
+        interactive: false          // Clicks and right-clicks go through to the map
+    }
+};
+
+let radiusSearch = null; // { lat, lng, radiusKm, place } while searching around a point
+
+// Developer search configuration (see search-index.js)
+const SEARCH_CONFIG = {
+    suggestions: 8,                 // Results shown under the search box
+    flyToZoom: 12,                  // Zoom the map flies to for a picked result (if it's further out)
+    debounceMs: 150
+};
+
+let searchIndex = null;        // Searcher over the pipeline's search index, once loaded
+let searchIndexPromise = null;
+let fallbackSearch = null;     // { size, searcher } over the loaded developers when there's no prebuilt index
+
+// Marker clustering configuration
+const CLUSTER_CONFIG = {
+    chunkedLoading: true,           // Add markers in chunks so the page stays responsive
+    maxClusterRadius: 60,           // Pixel radius for grouping markers
+    spiderfyOnMaxZoom: true,        // Fan out markers that share a location
+    showCoverageOnHover: false,
+    zoomToBoundsOnClick: true
+};
+
+// Heatmap layer configuration (Leaflet.heat)
+const HEATMAP_CONFIG = {
+    radius: 25,                     // Pixel radius of each point
+    blur: 15,                       // Pixel blur around each point
+    maxZoom: 10,                    // Zoom at which points reach full intensity
+    minOpacity: 0.3,
+    max: 1                          // Point weights are scaled to 0..1
+};
+
+// How much each developer contributes to the heatmap
+// Followers and stars are log-scaled so a few famous accounts don't drown out everyone else.
+const HEATMAP_WEIGHTS = {
+    count: () => 1,
+    followers: dev => Math.log10(1 + (dev.followers || 0)),
+    stars: dev => Math.log10(1 + (dev.total_stars || 0))
+};
+
+// Choropleth configuration (countries and states/provinces)
+const CHOROPLETH_CONFIG = {
+    colors: ['#c6dbef', '#9ecae1', '#6baed6', '#4292c6', '#2171b5', '#08519c', '#08306b'],
+    emptyColor: '#30363d',          // Regions without developers
+    fillOpacity: 0.7,
+    topDevelopers: 5                // Developers listed in the region panel
+};
+
+// Layer modes that draw a choropleth, and the boundaries level each one uses
+const CHOROPLETH_LEVELS = { countries: 'country', admin1: 'admin1' };
+
+let mapLayerMode = 'markers'; // 'markers', 'heatmap', 'both', 'countries' or 'admin1'
+let heatmapWeight = 'count';  // Also used to colour the choropleth
+let regionDataPromise = null;
+let dashboardPromise = null; // Loading and drawing data/stats.json (see dashboard.js)
+
+// Time slider configuration (snapshots the pipeline archives on every index run)
+const TIMELINE_CONFIG = {
+    playIntervalMs: 1500            // How long each snapshot shows while replaying
+};
+
+let timelineSnapshot = null;      // Past snapshot the map shows ({ date, count, file, data }); null = today's data
+let timelinePlayer = null;        // Interval stepping through the snapshots while replaying
+let snapshotRequests = new Map(); // Snapshot file -> pending load
 
 // Initialize the map
 function initMap() {
@@ -50,9 +147,16 @@ function initMap() {
         }).addTo(map);
         
         // Create layer groups for different types of markers
-        markerLayers.all = L.layerGroup().addTo(map);
+        markerLayers.all = L.markerClusterGroup(CLUSTER_CONFIG).addTo(map);
         markerLayers.filtered = L.layerGroup();
         
+        // Density view of the same developers, shown instead of or on top of the markers
+        if (L.heatLayer) {
+            markerLayers.heat = L.heatLayer([], HEATMAP_CONFIG);
+        } else {
+            console.warn('⚠️  Leaflet.heat not loaded, heatmap disabled');
+        }
+        
         // Add map event listeners
         map.on('moveend', debounce(onMapChange, 500));
         map.on('zoomend', debounce(onMapChange, 500));
@@ -129,13 +233,14 @@ async function loadBatch(batchNumber) {
                 allDevelopers.set(dev.login, dev);
             }
         });
+        developersVersion++;
         
         loadedBatches.add(batchNumber);
         console.log(`✅ Loaded batch ${batchNumber}: ${newDevelopers.length} developers`);
         
         updateDeveloperCount();
         return newDevelopers;
-        
+    
     } catch (error) {
         console.error(`❌ Failed to load batch ${batchNumber}:`, error);
         showError(`Failed to load developer data batch ${batchNumber}`);
@@ -145,6 +250,148 @@ async function loadBatch(batchNumber) {
     }
 }
 
+// Get geo-tiles from the index that intersect the given bounds
+function getTilesInBounds(bounds) {
+    if (!index || !index.tiles) return [];
+    
+    const south = Math.max(bounds.getSouth(), -90);
+    const north = Math.min(bounds.getNorth(), 90);
+    const west = bounds.getWest();
+    const east = bounds.getEast();
+    
+    return index.tiles.files.filter(tile => {
+        const [tileSouth, tileWest, tileNorth, tileEast] = tile.bounds;
+        if (tileNorth < south || tileSouth > north) return false;
+        if (east - west >= 360) return true;
+        
+        // The map can be panned onto neighbouring world copies
+        return [-360, 0, 360].some(shift =>
+            tileWest + shift <= east && tileEast + shift >= west
+        );
+    });
+}
+
+// Load a single geo-tile of developers
+async function loadTile(tile) {
+    if (loadedTiles.has(tile.file)) {
+        return [];
+    }
+    
+    try {
+        console.log(`📥 Loading tile ${tile.file}...`);
+        const response = await fetch(`./data/${tile.file}`);
+        if (!response.ok) {
+            throw new Error(`Failed to load tile ${tile.file}: ${response.status}`);
+        }
+        
+        const tileData = await response.json();
+        const newDevelopers = tileData.developers || [];
+        
+        newDevelopers.forEach(dev => {
+            const existing = allDevelopers.get(dev.login);
+            if (!existing) {
+                allDevelopers.set(dev.login, dev);
+            } else if (existing.detailFile) {
+                // Fill in a compact summary in place; its marker keeps a reference to it
+                Object.assign(existing, dev);
+                delete existing.detailFile;
+            }
+        });
+        developersVersion++;
+        
+        loadedTiles.add(tile.file);
+        console.log(`✅ Loaded tile ${tile.file}: ${newDevelopers.length} developers`);
+        
+        return newDevelopers;
+    
+    } catch (error) {
+        console.error(`❌ Failed to load tile ${tile.file}:`, error);
+        showError(`Failed to load developer data for ${tile.file}`);
+        return [];
+    }
+}
+
+// Load the compact columnar file (see createCompactExport in download-developers-v2.js)
+// Every located developer gets a summary with just the map columns; the full
+// record is read from `detailFile` when its popup opens.
+async function loadCompactData() {
+    try {
+        console.log(`📦 Loading compact data for ${index.compact.count} developers...`);
+        const response = await fetch(`./data/${index.compact.file}`);
+        if (!response.ok) {
+            throw new Error(`Failed to load ${index.compact.file}: ${response.status}`);
+        }
+        
+        const compact = await response.json();
+        const { login, lat, lng, followers, stars, confidence, tile, country, created, company, languages } = compact.columns;
+        const { dictionaries } = compact;
+        
+        for (let i = 0; i < login.length; i++) {
+            if (allDevelopers.has(login[i])) continue;
+            allDevelopers.set(login[i], {
+                login: login[i],
+                avatar_url: `https://avatars.githubusercontent.com/${login[i]}`,
+                html_url: `https://github.com/${login[i]}`,
+                followers: followers[i],
+                total_stars: stars[i],
+                coordinates: { lat: lat[i], lng: lng[i], confidence: confidence[i] },
+                // What the filters need (see developer-filters.js)
+                country_code: country[i],
+                created_at: created[i],
+                company: company[i] === null ? null : dictionaries.company[company[i]],
+                top_languages: languages[i].map(language => dictionaries.languages[language]),
+                detailFile: compact.tiles[tile[i]]
+            });
+        }
+        developersVersion++;
+        
+        compactLoaded = true;
+        console.log(`✅ Loaded compact data: ${login.length} developers`);
+        updateDeveloperCount();
+        return true;
+    
+    } catch (error) {
+        console.error('❌ Failed to load compact data, falling back to tiles:', error);
+        return false;
+    }
+}
+
+// Load a developer's full record from the tile it's in
+async function loadDeveloperDetail(developer) {
+    if (!developer.detailFile) return developer;
+    
+    const file = developer.detailFile;
+    if (!detailRequests.has(file)) {
+        detailRequests.set(file, loadTile({ file }).finally(() => detailRequests.delete(file)));
+    }
+    await detailRequests.get(file);
+    
+    // Not in the tile after all (stale compact file); show the summary instead of retrying
+    delete developer.detailFile;
+    return developer;
+}
+
+// Load all geo-tiles intersecting the current map view
+async function loadTilesInView() {
+    const bounds = map.getBounds().pad(0.2); // Add 20% padding
+    const tilesToLoad = getTilesInBounds(bounds).filter(tile => !loadedTiles.has(tile.file));
+    
+    if (tilesToLoad.length === 0) {
+        return 0;
+    }
+    
+    console.log(`🧩 Loading ${tilesToLoad.length} tiles in view...`);
+    showLoading(true, `Loading ${tilesToLoad.length} map tiles...`);
+    
+    try {
+        const results = await Promise.all(tilesToLoad.map(loadTile));
+        updateDeveloperCount();
+        return results.reduce((sum, developers) => sum + developers.length, 0);
+    } finally {
+        showLoading(false);
+    }
+}
+
 // Load initial batches
 async function loadInitialData() {
     console.log('🚀 Starting initial data load...');
@@ -165,6 +412,7 @@ async function loadInitialData() {
                     developers.forEach(dev => {
                         allDevelopers.set(dev.login, dev);
                     });
+                    developersVersion++;
                     loadedBatches.add(0);
                     console.log(`✅ Loaded ${developers.length} developers from single file`);
                     console.log('📋 Sample developers:', developers.slice(0, 3).map(d => `${d.login} (${d.location})`));
@@ -189,12 +437,24 @@ async function loadInitialData() {
                         }
                     }
                     console.log(`✅ Geocoded ${geocoded}/${developers.slice(0, 20).length} locations`);
+                    developersVersion++;
                 }
             } catch (e) {
                 console.error('❌ Failed to load fallback data:', e);
                 showError('No developer data available. Please check if data files exist.');
                 return;
             }
+        } else if (index.tiles) {
+            // Developers without coordinates aren't in any tile; geocode them in the browser
+            if (index.tiles.unlocated && index.tiles.unlocated.count > 0) {
+                await loadTile(index.tiles.unlocated);
+            }
+            
+            // The compact file places every developer at once; otherwise load the tiles in view
+            if (!index.compact || !await loadCompactData()) {
+                console.log(`🧩 Loading tiles in view (${index.tiles.total_tiles} tiles available)...`);
+                await loadTilesInView();
+            }
         } else {
             // Load initial batches
             const batchesToLoad = Math.min(LOADING_CONFIG.initialBatches, index.total_batches);
@@ -206,11 +466,14 @@ async function loadInitialData() {
             }
         }
         
+        // A reload lands on the latest data, with the snapshots of the new index
+        updateTimeline();
+        
         // Initialize map with loaded data
         await updateMapMarkers();
         
         console.log(`🎉 Initial load complete: ${allDevelopers.size} developers loaded`);
-        
+    
     } catch (error) {
         console.error('❌ Initial data load failed:', error);
         showError('Failed to load initial data. Please refresh the page.');
@@ -226,12 +489,23 @@ async function onMapChange() {
     const center = map.getCenter();
     
     console.log(`🗺️  Map changed: zoom=${zoom}, center=[${center.lat.toFixed(3)}, ${center.lng.toFixed(3)}]`);
+    updateUrlState();
+    
+    // The compact file already put every developer on the map
+    if (compactLoaded) {
+        return;
+    }
     
     // Determine if we need to load more data
     const shouldLoadMore = zoom >= LOADING_CONFIG.minZoomForMore && 
                           loadedBatches.size < LOADING_CONFIG.maxBatches;
     
-    if (shouldLoadMore && index) {
+    let loadedMore = false;
+    
+    if (index && index.tiles) {
+        // Tiled data: fetch whatever intersects the current view
+        loadedMore = await loadTilesInView() > 0;
+    } else if (shouldLoadMore && index) {
         const additionalBatches = Math.floor((zoom - LOADING_CONFIG.minZoomForMore) * LOADING_CONFIG.batchesPerZoomLevel) + 1;
         const targetBatches = Math.min(
             LOADING_CONFIG.initialBatches + additionalBatches,
@@ -243,14 +517,18 @@ async function onMapChange() {
         for (let i = loadedBatches.size; i < targetBatches; i++) {
             if (!loadedBatches.has(i)) {
                 console.log(`📈 Loading additional batch ${i} for zoom level ${zoom}`);
-                await loadBatch(i);
+                const newDevelopers = await loadBatch(i);
+                loadedMore = loadedMore || newDevelopers.length > 0;
                 await delay(200);
             }
         }
     }
     
-    // Update visible markers based on current view
-    await updateMapMarkers();
+    // The cluster group handles the viewport itself, so markers only
+    // need rebuilding when new developers were loaded
+    if (loadedMore) {
+        await updateMapMarkers();
+    }
 }
 
 // Get developers in current map bounds
@@ -281,305 +559,58 @@ function getDevelopersInBounds(bounds) {
         .slice(0, showAll ? Math.min(totalDevelopers, 200) : LOADING_CONFIG.developersPerView);
 }
 
-// Geocode location string to coordinates
+// Create the offline geocoder from the bundled gazetteer (see geocoder.js)
+function getGeocoder() {
+    if (!geocoderPromise) {
+        geocoderPromise = fetch('./data/gazetteer.json')
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`Failed to load gazetteer: ${response.status}`);
+                }
+                return response.json();
+            })
+            .then(gazetteer => createGeocoder([createGazetteerProvider(gazetteer)]))
+            .catch(error => {
+                console.error('❌ Failed to load gazetteer:', error);
+                geocoderPromise = null;
+                return createGeocoder([]);
+            });
+    }
+    return geocoderPromise;
+}
+
+// Geocode location string to coordinates (with precision and confidence)
 async function geocodeLocation(location) {
     if (locationCache.has(location)) {
         return locationCache.get(location);
     }
     
-    try {
-        // First try to match with major cities (more aggressive matching)
-        const normalizedLocation = location.toLowerCase().trim();
-        
-        // Direct city name matches
-        for (const city of MAJOR_LOCATIONS) {
-            for (const alias of city.aliases) {
-                if (normalizedLocation.includes(alias.toLowerCase()) || 
-                    alias.toLowerCase().includes(normalizedLocation)) {
-                    console.log(`🎯 Matched "${location}" to ${city.name}`);
-                    const coords = { lat: city.lat, lng: city.lng };
-                    locationCache.set(location, coords);
-                    return coords;
-                }
-            }
-        }
-        
-        // Try to extract city names from complex locations FIRST (before countries/states)
-        const cityPatterns = {
-            // Major cities that might be in complex addresses
-            'san francisco': { lat: 37.7749, lng: -122.4194 },
-            'new york': { lat: 40.7128, lng: -74.0060 },
-            'london': { lat: 51.5074, lng: -0.1278 },
-            'berlin': { lat: 52.5200, lng: 13.4050 },
-            'tokyo': { lat: 35.6762, lng: 139.6503 },
-            'paris': { lat: 48.8566, lng: 2.3522 },
-            'seattle': { lat: 47.6062, lng: -122.3321 },
-            'boston': { lat: 42.3601, lng: -71.0589 },
-            'chicago': { lat: 41.8781, lng: -87.6298 },
-            'austin': { lat: 30.2672, lng: -97.7431 },
-            'toronto': { lat: 43.6532, lng: -79.3832 },
-            'vancouver': { lat: 49.2827, lng: -123.1207 },
-            'sydney': { lat: -33.8688, lng: 151.2093 },
-            'melbourne': { lat: -37.8136, lng: 144.9631 },
-            'amsterdam': { lat: 52.3676, lng: 4.9041 },
-            'stockholm': { lat: 59.3293, lng: 18.0686 },
-            'copenhagen': { lat: 55.6761, lng: 12.5683 },
-            'helsinki': { lat: 60.1699, lng: 24.9384 },
-            'oslo': { lat: 59.9139, lng: 10.7522 },
-            'zurich': { lat: 47.3769, lng: 8.5417 },
-            'vienna': { lat: 48.2082, lng: 16.3738 },
-            'madrid': { lat: 40.4168, lng: -3.7038 },
-            'barcelona': { lat: 41.3851, lng: 2.1734 },
-            'rome': { lat: 41.9028, lng: 12.4964 },
-            'milan': { lat: 45.4642, lng: 9.1900 },
-            'munich': { lat: 48.1351, lng: 11.5820 },
-            'hamburg': { lat: 53.5511, lng: 9.9937 },
-            'cologne': { lat: 50.9375, lng: 6.9603 },
-            'frankfurt': { lat: 50.1109, lng: 8.6821 },
-            'moscow': { lat: 55.7558, lng: 37.6173 },
-            'st petersburg': { lat: 59.9311, lng: 30.3609 },
-            'warsaw': { lat: 52.2297, lng: 21.0122 },
-            'prague': { lat: 50.0755, lng: 14.4378 },
-            'budapest': { lat: 47.4979, lng: 19.0402 },
-            'bucharest': { lat: 44.4268, lng: 26.1025 },
-            'sofia': { lat: 42.6977, lng: 23.3219 },
-            'athens': { lat: 37.9838, lng: 23.7275 },
-            'istanbul': { lat: 41.0082, lng: 28.9784 },
-            'ankara': { lat: 39.9334, lng: 32.8597 },
-            'tel aviv': { lat: 32.0853, lng: 34.7818 },
-            'jerusalem': { lat: 31.7683, lng: 35.2137 },
-            'dubai': { lat: 25.2048, lng: 55.2708 },
-            'mumbai': { lat: 19.0760, lng: 72.8777 },
-            'delhi': { lat: 28.7041, lng: 77.1025 },
-            'bangalore': { lat: 12.9716, lng: 77.5946 },
-            'bengaluru': { lat: 12.9716, lng: 77.5946 },
-            'hyderabad': { lat: 17.3850, lng: 78.4867 },
-            'chennai': { lat: 13.0827, lng: 80.2707 },
-            'pune': { lat: 18.5204, lng: 73.8567 },
-            'beijing': { lat: 39.9042, lng: 116.4074 },
-            'shanghai': { lat: 31.2304, lng: 121.4737 },
-            'shenzhen': { lat: 22.5431, lng: 114.0579 },
-            'guangzhou': { lat: 23.1291, lng: 113.2644 },
-            'hangzhou': { lat: 30.2741, lng: 120.1551 },
-            'seoul': { lat: 37.5665, lng: 126.9780 },
-            'busan': { lat: 35.1796, lng: 129.0756 },
-            'singapore': { lat: 1.3521, lng: 103.8198 },
-            'bangkok': { lat: 13.7563, lng: 100.5018 },
-            'jakarta': { lat: -6.2088, lng: 106.8456 },
-            'manila': { lat: 14.5995, lng: 120.9842 },
-            'kuala lumpur': { lat: 3.1390, lng: 101.6869 },
-            'ho chi minh': { lat: 10.8231, lng: 106.6297 },
-            'hanoi': { lat: 21.0285, lng: 105.8542 },
-            'taipei': { lat: 25.0330, lng: 121.5654 },
-            'hong kong': { lat: 22.3193, lng: 114.1694 },
-            'macau': { lat: 22.1987, lng: 113.5439 }
-        };
-        
-        for (const [cityName, coords] of Object.entries(cityPatterns)) {
-            if (normalizedLocation.includes(cityName)) {
-                console.log(`🎯 Found city "${cityName}" in "${location}"`);
-                locationCache.set(location, coords);
-                return coords;
-            }
-        }
-        
-        // Extended location mappings for countries/states (after cities)
-        const locationMappings = {
-            // Countries/Regions
-            'usa': { lat: 40.7128, lng: -74.0060 }, // USA -> New York
-            'us': { lat: 40.7128, lng: -74.0060 },  // US -> New York
-            'united states': { lat: 40.7128, lng: -74.0060 },
-            'uk': { lat: 51.5074, lng: -0.1278 },   // UK -> London
-            'united kingdom': { lat: 51.5074, lng: -0.1278 },
-            'england': { lat: 51.5074, lng: -0.1278 },
-            'canada': { lat: 43.6532, lng: -79.3832 }, // Canada -> Toronto
-            'brasil': { lat: -23.5505, lng: -46.6333 }, // Brasil -> São Paulo
-            'brazil': { lat: -23.5505, lng: -46.6333 }, // Brazil -> São Paulo
-            'china': { lat: 39.9042, lng: 116.4074 }, // China -> Beijing
-            'india': { lat: 12.9716, lng: 77.5946 }, // India -> Bangalore
-            'japan': { lat: 35.6762, lng: 139.6503 }, // Japan -> Tokyo
-            'germany': { lat: 52.5200, lng: 13.4050 }, // Germany -> Berlin
-            'france': { lat: 48.8566, lng: 2.3522 }, // France -> Paris
-            'australia': { lat: -33.8688, lng: 151.2093 }, // Australia -> Sydney
-            'netherlands': { lat: 52.3676, lng: 4.9041 }, // Netherlands -> Amsterdam
-            'switzerland': { lat: 47.3769, lng: 8.5417 }, // Switzerland -> Zurich
-            'sweden': { lat: 59.3293, lng: 18.0686 }, // Sweden -> Stockholm
-            'norway': { lat: 59.9139, lng: 10.7522 }, // Norway -> Oslo
-            'italy': { lat: 41.9028, lng: 12.4964 }, // Italy -> Rome
-            'spain': { lat: 40.4168, lng: -3.7038 }, // Spain -> Madrid
-            'russia': { lat: 55.7558, lng: 37.6173 }, // Russia -> Moscow
-            'poland': { lat: 52.2297, lng: 21.0122 }, // Poland -> Warsaw
-            'south korea': { lat: 37.5665, lng: 126.9780 }, // South Korea -> Seoul
-            'korea': { lat: 37.5665, lng: 126.9780 }, // Korea -> Seoul
-            'israel': { lat: 32.0853, lng: 34.7818 }, // Israel -> Tel Aviv
-            'turkey': { lat: 41.0082, lng: 28.9784 }, // Turkey -> Istanbul
-            'mexico': { lat: 19.4326, lng: -99.1332 }, // Mexico -> Mexico City
-            'argentina': { lat: -34.6037, lng: -58.3816 }, // Argentina -> Buenos Aires
-            'chile': { lat: -33.4489, lng: -70.6693 }, // Chile -> Santiago
-            'colombia': { lat: 4.7110, lng: -74.0721 }, // Colombia -> Bogotá
-            'finland': { lat: 60.1699, lng: 24.9384 }, // Finland -> Helsinki
-            'denmark': { lat: 55.6761, lng: 12.5683 }, // Denmark -> Copenhagen
-            'austria': { lat: 48.2082, lng: 16.3738 }, // Austria -> Vienna
-            'belgium': { lat: 50.8503, lng: 4.3517 }, // Belgium -> Brussels
-            'czechia': { lat: 50.0755, lng: 14.4378 }, // Czechia -> Prague
-            'czech republic': { lat: 50.0755, lng: 14.4378 },
-            'hungary': { lat: 47.4979, lng: 19.0402 }, // Hungary -> Budapest
-            'ukraine': { lat: 50.4501, lng: 30.5234 }, // Ukraine -> Kyiv
-            'romania': { lat: 44.4268, lng: 26.1025 }, // Romania -> Bucharest
-            'bulgaria': { lat: 42.6977, lng: 23.3219 }, // Bulgaria -> Sofia
-            'croatia': { lat: 45.8150, lng: 15.9819 }, // Croatia -> Zagreb
-            'serbia': { lat: 44.7866, lng: 20.4489 }, // Serbia -> Belgrade
-            'greece': { lat: 37.9838, lng: 23.7275 }, // Greece -> Athens
-            'portugal': { lat: 38.7223, lng: -9.1393 }, // Portugal -> Lisbon
-            'ireland': { lat: 53.3498, lng: -6.2603 }, // Ireland -> Dublin
-            'estonia': { lat: 59.4370, lng: 24.7536 }, // Estonia -> Tallinn
-            'latvia': { lat: 56.9496, lng: 24.1052 }, // Latvia -> Riga
-            'lithuania': { lat: 54.6872, lng: 25.2797 }, // Lithuania -> Vilnius
-            'slovenia': { lat: 46.0569, lng: 14.5058 }, // Slovenia -> Ljubljana
-            'slovakia': { lat: 48.1486, lng: 17.1077 }, // Slovakia -> Bratislava
-            'belarus': { lat: 53.9006, lng: 27.5590 }, // Belarus -> Minsk
-            'iceland': { lat: 64.1466, lng: -21.9426 }, // Iceland -> Reykjavik
-            
-            // US States
-            'california': { lat: 37.7749, lng: -122.4194 }, // California -> San Francisco
-            'ca': { lat: 37.7749, lng: -122.4194 },
-            'texas': { lat: 30.2672, lng: -97.7431 }, // Texas -> Austin
-            'tx': { lat: 30.2672, lng: -97.7431 },
-            'new york': { lat: 40.7128, lng: -74.0060 }, // New York -> NYC
-            'ny': { lat: 40.7128, lng: -74.0060 },
-            'florida': { lat: 25.7617, lng: -80.1918 }, // Florida -> Miami
-            'fl': { lat: 25.7617, lng: -80.1918 },
-            'washington': { lat: 47.6062, lng: -122.3321 }, // Washington -> Seattle
-            'wa': { lat: 47.6062, lng: -122.3321 },
-            'massachusetts': { lat: 42.3601, lng: -71.0589 }, // Massachusetts -> Boston
-            'ma': { lat: 42.3601, lng: -71.0589 },
-            'illinois': { lat: 41.8781, lng: -87.6298 }, // Illinois -> Chicago
-            'il': { lat: 41.8781, lng: -87.6298 },
-            'ohio': { lat: 39.9612, lng: -82.9988 }, // Ohio -> Columbus
-            'oh': { lat: 39.9612, lng: -82.9988 },
-            'georgia': { lat: 33.7490, lng: -84.3880 }, // Georgia -> Atlanta
-            'ga': { lat: 33.7490, lng: -84.3880 },
-            'virginia': { lat: 38.9072, lng: -77.0369 }, // Virginia -> Washington DC area
-            'va': { lat: 38.9072, lng: -77.0369 },
-            'north carolina': { lat: 35.7796, lng: -78.6382 }, // North Carolina -> Raleigh
-            'nc': { lat: 35.7796, lng: -78.6382 },
-            'colorado': { lat: 39.7392, lng: -104.9903 }, // Colorado -> Denver
-            'co': { lat: 39.7392, lng: -104.9903 },
-            'oregon': { lat: 45.5152, lng: -122.6784 }, // Oregon -> Portland
-            'or': { lat: 45.5152, lng: -122.6784 },
-            'utah': { lat: 40.7608, lng: -111.8910 }, // Utah -> Salt Lake City
-            'ut': { lat: 40.7608, lng: -111.8910 },
-            'arizona': { lat: 33.4484, lng: -112.0740 }, // Arizona -> Phoenix
-            'az': { lat: 33.4484, lng: -112.0740 },
-            'pennsylvania': { lat: 39.9526, lng: -75.1652 }, // Pennsylvania -> Philadelphia
-            'pa': { lat: 39.9526, lng: -75.1652 },
-            'michigan': { lat: 42.3314, lng: -83.0458 }, // Michigan -> Detroit
-            'mi': { lat: 42.3314, lng: -83.0458 },
-            'minnesota': { lat: 44.9778, lng: -93.2650 }, // Minnesota -> Minneapolis
-            'mn': { lat: 44.9778, lng: -93.2650 },
-            'wisconsin': { lat: 43.0389, lng: -87.9065 }, // Wisconsin -> Milwaukee
-            'wi': { lat: 43.0389, lng: -87.9065 },
-            'tennessee': { lat: 36.1627, lng: -86.7816 }, // Tennessee -> Nashville
-            'tn': { lat: 36.1627, lng: -86.7816 },
-            'missouri': { lat: 39.0458, lng: -76.6413 }, // Missouri -> St. Louis
-            'mo': { lat: 39.0458, lng: -76.6413 },
-            'maryland': { lat: 39.0458, lng: -76.6413 }, // Maryland -> Baltimore
-            'md': { lat: 39.0458, lng: -76.6413 },
-            'connecticut': { lat: 41.7658, lng: -72.6734 }, // Connecticut -> Hartford
-            'ct': { lat: 41.7658, lng: -72.6734 },
-            'new jersey': { lat: 40.0583, lng: -74.4057 }, // New Jersey -> Newark
-            'nj': { lat: 40.0583, lng: -74.4057 },
-            'indiana': { lat: 39.7684, lng: -86.1581 }, // Indiana -> Indianapolis
-            'in': { lat: 39.7684, lng: -86.1581 },
-            
-            // Canadian Provinces
-            'ontario': { lat: 43.6532, lng: -79.3832 }, // Ontario -> Toronto
-            'on': { lat: 43.6532, lng: -79.3832 },
-            'quebec': { lat: 45.5017, lng: -73.5673 }, // Quebec -> Montreal
-            'qc': { lat: 45.5017, lng: -73.5673 },
-            'british columbia': { lat: 49.2827, lng: -123.1207 }, // BC -> Vancouver
-            'bc': { lat: 49.2827, lng: -123.1207 },
-            'alberta': { lat: 51.0447, lng: -114.0719 }, // Alberta -> Calgary
-            'ab': { lat: 51.0447, lng: -114.0719 },
-            
-            // Generic/Virtual locations
-            'remote': { lat: 37.7749, lng: -122.4194 }, // Remote -> San Francisco
-            'worldwide': { lat: 37.7749, lng: -122.4194 },
-            'everywhere': { lat: 37.7749, lng: -122.4194 },
-            'virtual': { lat: 37.7749, lng: -122.4194 },
-            'online': { lat: 37.7749, lng: -122.4194 },
-            'internet': { lat: 37.7749, lng: -122.4194 },
-            'earth': { lat: 37.7749, lng: -122.4194 },
-            'global': { lat: 37.7749, lng: -122.4194 },
-            '127.0.0.1': { lat: 37.7749, lng: -122.4194 }, // Localhost joke -> SF
-            'localhost': { lat: 37.7749, lng: -122.4194 },
-            'undefined': { lat: 37.7749, lng: -122.4194 },
-            'null': { lat: 37.7749, lng: -122.4194 },
-            '~': { lat: 37.7749, lng: -122.4194 }, // Home directory joke -> SF
-            'your heart': { lat: 37.7749, lng: -122.4194 }, // Funny location -> SF
-            'ghent': { lat: 51.0543, lng: 3.7174 }, // Ghent, Belgium
-            'são paulo': { lat: -23.5505, lng: -46.6333 }, // São Paulo, Brazil
-            'sao paulo': { lat: -23.5505, lng: -46.6333 } // São Paulo, Brazil (no accent)
-        };
-        
-        for (const [pattern, coords] of Object.entries(locationMappings)) {
-            if (normalizedLocation.includes(pattern)) {
-                console.log(`🌍 Mapped "${location}" to default location`);
-                locationCache.set(location, coords);
-                return coords;
-            }
-        }
-        
-        // Skip Nominatim for now as it's slow and often blocked
-        // Instead, use a fallback location based on common patterns
-        console.log(`🔍 Using fallback geocoding for "${location}"`);
-        
-        
-        // If still no match, use a default location based on likely region
-        let defaultCoords = { lat: 37.7749, lng: -122.4194 }; // Default to SF
-        
-        // Try to guess region from location string
-        if (normalizedLocation.includes('europe') || normalizedLocation.includes('eu')) {
-            defaultCoords = { lat: 51.5074, lng: -0.1278 }; // London
-        } else if (normalizedLocation.includes('asia') || normalizedLocation.includes('asian')) {
-            defaultCoords = { lat: 35.6762, lng: 139.6503 }; // Tokyo
-        } else if (normalizedLocation.includes('africa') || normalizedLocation.includes('african')) {
-            defaultCoords = { lat: -26.2041, lng: 28.0473 }; // Johannesburg
-        } else if (normalizedLocation.includes('south america') || normalizedLocation.includes('latin')) {
-            defaultCoords = { lat: -23.5505, lng: -46.6333 }; // São Paulo
-        } else if (normalizedLocation.includes('oceania') || normalizedLocation.includes('pacific')) {
-            defaultCoords = { lat: -33.8688, lng: 151.2093 }; // Sydney
-        }
-        
-        console.log(`🌍 Using regional default for "${location}"`);
-        locationCache.set(location, defaultCoords);
-        return defaultCoords;
-        
-    } catch (error) {
-        console.error(`❌ Geocoding error for "${location}":`, error.message);
+    const geocoder = await getGeocoder();
+    const { coordinates: coords, reason } = await resolveLocation(location, geocoder);
+    
+    if (!coords) {
+        console.log(`❌ Could not geocode "${location}" (${reason})`);
     }
     
-    console.log(`❌ Could not geocode "${location}"`);
-    locationCache.set(location, null);
-    return null;
+    locationCache.set(location, coords);
+    return coords;
 }
 
 // Update map markers
 async function updateMapMarkers() {
-    const bounds = map.getBounds();
-    const developersToShow = getDevelopersInBounds(bounds);
+    // Every loaded developer passing the filters gets a marker; clustering keeps dense areas readable
+    const developersToShow = getMapDevelopers().filter(dev => matchesFilters(dev, filters));
+    filteredCount = developersToShow.length;
     
-    console.log(`🎯 Updating markers: ${developersToShow.length}/${allDevelopers.size} developers in view`);
-    console.log('📋 Developers to show:', developersToShow.slice(0, 3).map(d => `${d.login} (${d.location}) coords:${!!d.coordinates}`));
+    console.log(`🎯 Updating markers for ${developersToShow.length} developers`);
     showLoading(true, `Updating ${developersToShow.length} markers...`);
     
     try {
         // Clear existing markers
         markerLayers.all.clearLayers();
         markers = [];
+        markerByLogin.clear();
         
-        // Group developers by location to avoid overlapping
-        const locationGroups = {};
         const geocodingPromises = [];
         
         for (const dev of developersToShow) {
@@ -597,61 +628,60 @@ async function updateMapMarkers() {
                     const cached = locationCache.get(dev.location);
                     if (cached) {
                         dev.coordinates = cached;
+                        developersVersion++;
                     }
                 }
             }
         }
         
-        // Wait for geocoding with batching
+        // Wait for geocoding
         if (geocodingPromises.length > 0) {
             console.log(`🌍 Geocoding ${geocodingPromises.length} locations...`);
-            
-            // Process in batches of 5 to respect rate limits
-            const batchSize = 5;
-            for (let i = 0; i < geocodingPromises.length; i += batchSize) {
-                const batch = geocodingPromises.slice(i, i + batchSize);
-                await Promise.all(batch);
-                if (i + batchSize < geocodingPromises.length) {
-                    await delay(LOADING_CONFIG.geocodingDelay);
-                }
-            }
+            await Promise.all(geocodingPromises);
+            developersVersion++;
         }
         
-        // Group by location
+        // Create markers
+        let lowConfidence = 0;
         for (const dev of developersToShow) {
             if (dev.coordinates) {
-                const locationKey = `${dev.coordinates.lat.toFixed(3)},${dev.coordinates.lng.toFixed(3)}`;
-                if (!locationGroups[locationKey]) {
-                    locationGroups[locationKey] = [];
+                // Older records have no confidence score; treat them as reliable
+                const confidence = dev.coordinates.confidence ?? 1;
+                if (confidence < MARKER_CONFIG.minConfidence) {
+                    lowConfidence++;
+                    continue;
                 }
-                locationGroups[locationKey].push(dev);
-            }
-        }
-        
-        // Create markers
-        let markerCount = 0;
-        for (const [locationKey, devs] of Object.entries(locationGroups)) {
-            const [lat, lng] = locationKey.split(',').map(parseFloat);
-            
-            devs.forEach((dev, index) => {
-                const offset = index * 0.001; // Small offset for overlapping markers
-                const marker = L.marker([lat + offset, lng + offset])
-                    .bindPopup(createPopupContent(dev));
                 
-                markerLayers.all.addLayer(marker);
+                // Popup content is built lazily when the marker is opened
+                const marker = L.marker([dev.coordinates.lat, dev.coordinates.lng], {
+                    opacity: confidence < MARKER_CONFIG.dimBelowConfidence ? MARKER_CONFIG.dimmedOpacity : 1
+                }).bindPopup(() => createPopupContent(dev));
+                
+                // Compact summaries fetch the full profile on first open
+                marker.on('popupopen', () => {
+                    if (selectedLogin !== dev.login) selectDeveloper(dev.login);
+                    if (!dev.detailFile) return;
+                    loadDeveloperDetail(dev).then(() => {
+                        if (marker.isPopupOpen()) marker.getPopup().update();
+                    });
+                });
                 markers.push(marker);
-                markerCount++;
-            });
-            
-            // Small delay between location groups
-            if (markerCount % 10 === 0) {
-                await delay(LOADING_CONFIG.markerUpdateDelay);
+                markerByLogin.set(dev.login, marker);
             }
         }
         
-        updateDeveloperCount();
-        console.log(`✅ Created ${markerCount} markers`);
+        if (lowConfidence > 0) {
+            console.log(`🔅 Skipped ${lowConfidence} developers with low location confidence`);
+        }
+        
+        // Add all markers at once so the cluster group can process them in chunks
+        markerLayers.all.addLayers(markers);
+        updateHeatmap();
         
+        updateFilterOptions();
+        updateDeveloperCount();
+        console.log(`✅ Created ${markers.length} markers`);
+    
     } catch (error) {
         console.error('❌ Error updating markers:', error);
         showError('Failed to update map markers');
@@ -660,237 +690,1236 @@ async function updateMapMarkers() {
     }
 }
 
-// Create popup content for developer
-function createPopupContent(developer) {
-    const company = developer.company ? `<span>🏢 ${developer.company}</span>` : '';
-    const bio = developer.bio ? `<span>📝 ${developer.bio.substring(0, 100)}${developer.bio.length > 100 ? '...' : ''}</span>` : '';
-    const repos = developer.public_repos > 0 ? `<span>📦 ${developer.public_repos} public repos</span>` : '';
+// Heatmap points [lat, lng, weight] for the developers that have markers
+function getHeatmapPoints() {
+    const weigh = HEATMAP_WEIGHTS[heatmapWeight];
+    const points = [];
+    let maxWeight = 0;
     
-    return `
-        <div class="developer-popup">
-            <div class="popup-header">
-                <img src="${developer.avatar_url}" alt="${developer.login}" class="avatar">
-                <div class="popup-info">
-                    <h3>${developer.name || developer.login}</h3>
-                    <div class="stats">
-                        <span class="followers">👥 ${developer.followers.toLocaleString()}</span>
-                        <span class="location">📍 ${developer.location}</span>
-                    </div>
-                </div>
-            </div>
-            <div class="popup-details">
-                ${company}
-                ${repos}
-                ${bio}
-            </div>
-            <div class="popup-actions">
-                <a href="${developer.html_url}" target="_blank" class="github-link">View on GitHub →</a>
-            </div>
-        </div>
-    `;
+    for (const dev of getMapDevelopers()) {
+        if (!dev.coordinates) continue;
+        if ((dev.coordinates.confidence ?? 1) < MARKER_CONFIG.minConfidence) continue;
+        if (!matchesFilters(dev, filters)) continue;
+        
+        const weight = weigh(dev);
+        if (weight <= 0) continue;
+        points.push([dev.coordinates.lat, dev.coordinates.lng, weight]);
+        maxWeight = Math.max(maxWeight, weight);
+    }
+    
+    points.forEach(point => { point[2] /= maxWeight; });
+    return points;
 }
 
-// Update developer count display
-function updateDeveloperCount() {
-    const totalLoaded = allDevelopers.size;
-    const batchesLoaded = loadedBatches.size;
-    const markersShown = markers.length;
+// Rebuild the heatmap from the loaded developers (only while it's visible)
+function updateHeatmap() {
+    if (!markerLayers.heat || !map.hasLayer(markerLayers.heat)) return;
     
-    const countElement = document.getElementById('developerCount');
-    if (countElement) {
-        countElement.innerHTML = `
-            <div class="count-primary">${markersShown.toLocaleString()} developers shown</div>
-            <div class="count-secondary">${totalLoaded.toLocaleString()} loaded • ${batchesLoaded} batches</div>
-        `;
-    }
+    const points = getHeatmapPoints();
+    markerLayers.heat.setLatLngs(points);
+    console.log(`🔥 Heatmap updated: ${points.length} developers weighted by ${heatmapWeight}`);
 }
 
-// Show/hide loading indicator
-function showLoading(show, message = 'Loading...') {
-    const loadingEl = document.getElementById('loading');
-    const messageEl = loadingEl.querySelector('p');
-    
-    if (show) {
-        if (messageEl) messageEl.textContent = message;
-        loadingEl.classList.remove('hidden');
-    } else {
-        loadingEl.classList.add('hidden');
+// Whether the pipeline bundled what the choropleth needs (see createRegionsFile)
+function hasRegionData() {
+    return Boolean(index && index.regions && index.regions.boundaries);
+}
+
+// Load region statistics and boundaries for the choropleth, once
+function loadRegionData() {
+    if (!regionDataPromise) {
+        const fetchJson = file => fetch(`./data/${file}`).then(response => {
+            if (!response.ok) {
+                throw new Error(`Failed to load ${file}: ${response.status}`);
+            }
+            return response.json();
+        });
+        
+        showLoading(true, 'Loading countries and regions...');
+        regionDataPromise = Promise.all([fetchJson(index.regions.file), fetchJson(index.regions.boundaries)])
+            .then(([stats, boundaries]) => ({ stats, boundaries }))
+            .catch(error => {
+                console.error('❌ Failed to load region data:', error);
+                showError('Failed to load country and region data');
+                regionDataPromise = null;
+                return null;
+            })
+            .finally(() => showLoading(false));
     }
+    return regionDataPromise;
 }
 
-// Show error message
-function showError(message) {
-    const errorEl = document.createElement('div');
-    errorEl.className = 'error-message';
-    errorEl.innerHTML = `
-        <div class="error-content">
-            <span class="error-icon">⚠️</span>
-            <span class="error-text">${message}</span>
-            <button class="error-close" onclick="this.parentElement.parentElement.remove()">×</button>
-        </div>
-    `;
-    document.body.appendChild(errorEl);
+// Fill colour on a log scale, so a handful of developers still shows next to thousands
+function getChoroplethColor(value, max) {
+    if (!value) return CHOROPLETH_CONFIG.emptyColor;
     
-    // Auto-remove after 5 seconds
-    setTimeout(() => {
-        if (errorEl.parentElement) {
-            errorEl.remove();
-        }
-    }, 5000);
+    const colors = CHOROPLETH_CONFIG.colors;
+    const step = Math.log1p(value) / Math.log1p(max);
+    return colors[Math.min(colors.length - 1, Math.floor(step * colors.length))];
 }
 
-// Clear all data and reload
-function clearAll() {
-    console.log('🗑️  Clearing all data...');
+// Draw countries or states/provinces coloured by the selected weight
+async function updateChoropleth() {
+    const level = CHOROPLETH_LEVELS[mapLayerMode];
+    if (!level) return;
     
-    markerLayers.all.clearLayers();
-    markers = [];
-    allDevelopers.clear();
-    loadedBatches.clear();
+    const data = await loadRegionData();
+    if (!data || CHOROPLETH_LEVELS[mapLayerMode] !== level) return; // Mode changed while loading
     
-    updateDeveloperCount();
-    console.log('✅ All data cleared');
+    const groups = level === 'admin1' ? data.stats.admin1 : data.stats.countries;
+    const statsFor = feature => groups[level === 'admin1' ? feature.properties.admin1 : feature.properties.country_code];
+    const features = data.boundaries.features.filter(feature => feature.properties.level === level);
+    const max = features.reduce((highest, feature) => Math.max(highest, (statsFor(feature) || {})[heatmapWeight] || 0), 1);
+    
+    if (markerLayers.regions) {
+        map.removeLayer(markerLayers.regions);
+    }
+    markerLayers.regions = L.geoJSON(features, {
+        style: feature => ({
+            fillColor: getChoroplethColor((statsFor(feature) || {})[heatmapWeight], max),
+            fillOpacity: CHOROPLETH_CONFIG.fillOpacity,
+            color: '#8b949e',
+            weight: 1
+        }),
+        onEachFeature: (feature, layer) => {
+            const stats = statsFor(feature);
+            layer.bindTooltip(`${escapeHtml(feature.properties.name)}: ${(stats ? stats.count : 0).toLocaleString()} developers`);
+            layer.on('click', () => showRegionPanel(feature.properties, stats));
+        }
+    }).addTo(map);
+    
+    console.log(`🗺️  Choropleth updated: ${features.length} ${level === 'admin1' ? 'states/provinces' : 'countries'} by ${heatmapWeight}`);
 }
 
-// Refresh and reload data
-async function refreshData() {
-    console.log('🔄 Refreshing data...');
-    clearAll();
-    await loadInitialData();
+// Show totals, top developers, languages and companies of a region
+function showRegionPanel(region, stats) {
+    const panel = document.getElementById('regionPanel');
+    if (!panel) return;
+    
+    const body = stats ? `
+        <div class="region-totals">
+            <div class="stat-item"><span class="stat-value">👥 ${stats.count.toLocaleString()}</span><span class="stat-label">developers</span></div>
+            <div class="stat-item"><span class="stat-value">❤️ ${formatNumber(stats.followers)}</span><span class="stat-label">followers</span></div>
+            <div class="stat-item"><span class="stat-value">⭐ ${formatNumber(stats.stars)}</span><span class="stat-label">stars</span></div>
+        </div>
+        
+        <h3>Top developers</h3>
+        <ol>
+            ${stats.top_developers.slice(0, CHOROPLETH_CONFIG.topDevelopers).map(dev => `
+                <li>
+                    <a href="https://github.com/${escapeHtml(dev.login)}" target="_blank">
+                        <img src="${escapeHtml(dev.avatar_url)}" alt="${escapeHtml(dev.login)}">
+                        ${escapeHtml(dev.name || dev.login)}
+                    </a>
+                    <span class="stat-label">👥 ${formatNumber(dev.followers)}</span>
+                </li>
+            `).join('')}
+        </ol>
+        
+        ${stats.top_languages.length > 0 ? `
+            <h3>Top languages</h3>
+            <div class="developer-languages">
+                ${stats.top_languages.map(([language, count]) => `<span class="language-tag">${escapeHtml(language)} · ${count}</span>`).join('')}
+            </div>
+        ` : ''}
+        
+        ${stats.top_companies.length > 0 ? `
+            <h3>Top companies</h3>
+            <ul>
+                ${stats.top_companies.map(([company, count]) => `<li><span>🏢 ${escapeHtml(company)}</span><span class="stat-label">${count}</span></li>`).join('')}
+            </ul>
+        ` : ''}
+    ` : '<p class="stat-label">No developers here yet</p>';
+    
+    panel.innerHTML = `
+        <button class="region-panel-close" onclick="hideRegionPanel()">×</button>
+        <h2>${escapeHtml(region.name)}</h2>
+        ${body}
+    `;
+    panel.classList.remove('hidden');
 }
 
-// Delay utility
-function delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+// Close the region panel
+function hideRegionPanel() {
+    const panel = document.getElementById('regionPanel');
+    if (panel) {
+        panel.classList.add('hidden');
+    }
 }
 
-// List view functionality
-let currentView = 'map'; // 'map' or 'list'
-let currentSort = 'total_stars';
-let searchQuery = '';
+// Switch between markers, heatmap, both, or a countries/states choropleth
+function setMapLayerMode(mode) {
+    mapLayerMode = mode;
+    const showChoropleth = Boolean(CHOROPLETH_LEVELS[mode]);
+    const showMarkers = mode === 'markers' || mode === 'both';
+    const showHeatmap = (mode === 'heatmap' || mode === 'both') && markerLayers.heat;
+    
+    if (showMarkers) {
+        markerLayers.all.addTo(map);
+    } else {
+        map.removeLayer(markerLayers.all);
+    }
+    
+    if (showHeatmap) {
+        markerLayers.heat.addTo(map);
+        updateHeatmap();
+    } else if (markerLayers.heat) {
+        map.removeLayer(markerLayers.heat);
+    }
+    
+    if (showChoropleth) {
+        updateChoropleth();
+    } else {
+        if (markerLayers.regions) {
+            map.removeLayer(markerLayers.regions);
+            markerLayers.regions = null;
+        }
+        hideRegionPanel();
+    }
+    
+    const weightSelect = document.getElementById('heatmapWeightSelect');
+    if (weightSelect) {
+        weightSelect.disabled = !showHeatmap && !showChoropleth;
+    }
+}
+
+// Wire up the map layer and heatmap weight selectors
+function setupLayerControls() {
+    const layerSelect = document.getElementById('mapLayerSelect');
+    const weightSelect = document.getElementById('heatmapWeightSelect');
+    
+    if (layerSelect) {
+        // Options whose data or plugin isn't available
+        layerSelect.querySelectorAll('option').forEach(option => {
+            if (['heatmap', 'both'].includes(option.value)) option.disabled = !markerLayers.heat;
+            if (['countries', 'admin1'].includes(option.value)) option.disabled = !hasRegionData();
+        });
+        layerSelect.value = mapLayerMode;
+        layerSelect.addEventListener('change', (e) => setMapLayerMode(e.target.value));
+    }
+    
+    if (weightSelect) {
+        weightSelect.value = heatmapWeight;
+        weightSelect.addEventListener('change', (e) => {
+            heatmapWeight = e.target.value;
+            updateHeatmap();
+            updateChoropleth();
+        });
+    }
+}
+
+// Snapshots the pipeline archived for the time slider, oldest first
+function getSnapshots() {
+    return index && index.snapshots ? index.snapshots.files : [];
+}
+
+// Load a snapshot file, once
+function loadSnapshot(snapshot) {
+    if (!snapshotRequests.has(snapshot.file)) {
+        snapshotRequests.set(snapshot.file, fetch(`./data/${snapshot.file}`).then(response => {
+            if (!response.ok) {
+                throw new Error(`Failed to load ${snapshot.file}: ${response.status}`);
+            }
+            return response.json();
+        }).catch(error => {
+            snapshotRequests.delete(snapshot.file); // Try again next time
+            throw error;
+        }));
+    }
+    return snapshotRequests.get(snapshot.file);
+}
+
+// Developers as a snapshot recorded them: position, followers and stars from then,
+// the rest (what the filters look at) from today's record if it's loaded
+function getSnapshotDevelopers(data) {
+    const { login, lat, lng, followers, stars, confidence } = data.columns;
+    return login.map((name, i) => ({
+        ...(allDevelopers.get(name) || {
+            login: name,
+            avatar_url: `https://avatars.githubusercontent.com/${name}`,
+            html_url: `https://github.com/${name}`
+        }),
+        // Today's location and profile would be wrong for someone who has moved since
+        location: null,
+        detailFile: null,
+        followers: followers[i],
+        total_stars: stars[i],
+        coordinates: { lat: lat[i], lng: lng[i], confidence: confidence[i] }
+    }));
+}
+
+// Developers the markers and heatmap are drawn from: today's loaded data, or the snapshot the time slider is on
+function getMapDevelopers() {
+    return timelineSnapshot ? getSnapshotDevelopers(timelineSnapshot.data) : Array.from(allDevelopers.values());
+}
+
+// Point the time slider at the snapshots in the index; hidden unless there are at least two
+function updateTimeline() {
+    const timeline = document.getElementById('timeline');
+    const slider = document.getElementById('timelineSlider');
+    if (!timeline || !slider) return;
+    
+    const snapshots = getSnapshots();
+    timeline.classList.toggle('hidden', snapshots.length < 2);
+    slider.max = Math.max(0, snapshots.length - 1);
+    slider.value = slider.max;
+    updateTimelineLabel();
+}
+
+// "2026-03-01 · 1,148 developers (+12)" for the slider's position
+function updateTimelineLabel() {
+    const label = document.getElementById('timelineLabel');
+    const slider = document.getElementById('timelineSlider');
+    const snapshots = getSnapshots();
+    if (!label || !slider || snapshots.length === 0) return;
+    
+    const position = Number(slider.value);
+    const snapshot = snapshots[position];
+    const previous = snapshots[position - 1];
+    const change = previous ? snapshot.count - previous.count : 0;
+    label.textContent = `${snapshot.date}${position === snapshots.length - 1 ? ' (latest)' : ''} · ` +
+        `${snapshot.count.toLocaleString()} developers${change !== 0 ? ` (${change > 0 ? '+' : ''}${change.toLocaleString()})` : ''}`;
+}
+
+// Show the map as it was at a position of the time slider; the last position is today's data
+async function showSnapshot(position) {
+    const snapshots = getSnapshots();
+    const slider = document.getElementById('timelineSlider');
+    updateTimelineLabel();
+    
+    try {
+        if (position >= snapshots.length - 1) {
+            timelineSnapshot = null;
+        } else {
+            const snapshot = snapshots[position];
+            const data = await loadSnapshot(snapshot);
+            // The slider may have moved on while this one loaded
+            if (Number(slider.value) !== position) return;
+            timelineSnapshot = { ...snapshot, data };
+        }
+    } catch (error) {
+        console.error('❌ Failed to load snapshot:', error);
+        showError('Failed to load this snapshot');
+        stopTimelinePlayback();
+        return;
+    }
+    
+    console.log(`🕰️  Map showing ${timelineSnapshot ? `the snapshot of ${timelineSnapshot.date}` : 'the latest data'}`);
+    await updateMapMarkers();
+}
+
+// Replay the snapshots from the oldest (or from where the slider is), ending on today's data
+function startTimelinePlayback() {
+    const slider = document.getElementById('timelineSlider');
+    if (Number(slider.value) >= Number(slider.max)) {
+        slider.value = 0;
+        showSnapshot(0);
+    }
+    
+    document.getElementById('timelinePlayBtn').textContent = '⏸';
+    timelinePlayer = setInterval(() => {
+        const next = Number(slider.value) + 1;
+        slider.value = next;
+        showSnapshot(next);
+        if (next >= Number(slider.max)) stopTimelinePlayback();
+    }, TIMELINE_CONFIG.playIntervalMs);
+}
+
+// Stop replaying, leaving the map on the current snapshot
+function stopTimelinePlayback() {
+    if (!timelinePlayer) return;
+    clearInterval(timelinePlayer);
+    timelinePlayer = null;
+    const button = document.getElementById('timelinePlayBtn');
+    if (button) button.textContent = '▶';
+}
+
+// Wire up the time slider and its play button
+function setupTimelineControls() {
+    const slider = document.getElementById('timelineSlider');
+    const playButton = document.getElementById('timelinePlayBtn');
+    if (!slider || !playButton) return;
+    
+    slider.addEventListener('input', () => {
+        stopTimelinePlayback();
+        showSnapshot(Number(slider.value));
+    });
+    playButton.addEventListener('click', () => {
+        if (timelinePlayer) {
+            stopTimelinePlayback();
+        } else {
+            startTimelinePlayback();
+        }
+    });
+}
+
+// Text safe to put in HTML, between tags or in a quoted attribute
+// Profiles are written by their owners, so anything from the data goes through this.
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// An http(s) URL escaped for an href; null for anything else (javascript:, data:, ...)
+function safeUrl(url) {
+    try {
+        const parsed = new URL(url);
+        return ['http:', 'https:'].includes(parsed.protocol) ? escapeHtml(parsed.href) : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Create popup content for developer
+function createPopupContent(developer) {
+    const company = developer.company ? `<span>🏢 ${escapeHtml(developer.company)}</span>` : '';
+    const repos = developer.public_repos > 0 ? `<span>📦 ${developer.public_repos} public repos</span>` : '';
+    const stars = developer.total_stars > 0 ? `<span>⭐ ${developer.total_stars.toLocaleString()} stars</span>` : '';
+    const location = developer.location ? `<span class="location">📍 ${escapeHtml(developer.location)}</span>` : '';
+    const loadingDetail = developer.detailFile ? '<span class="popup-loading">Loading profile...</span>' : '';
+    
+    return `
+        <div class="developer-popup">
+            <div class="popup-header">
+                <img src="${escapeHtml(developer.avatar_url)}" alt="${escapeHtml(developer.login)}" class="avatar">
+                <div class="popup-info">
+                    <h3>${escapeHtml(developer.name || developer.login)}</h3>
+                    <div class="stats">
+                        <span class="followers">👥 ${developer.followers.toLocaleString()}</span>
+                        ${location}
+                    </div>
+                </div>
+            </div>
+            <div class="popup-details">
+                ${loadingDetail}
+                ${company}
+                ${repos}
+                ${stars}
+            </div>
+            <div class="popup-actions">
+                <a href="${safeUrl(developer.html_url) || '#'}" target="_blank" class="github-link">View on GitHub →</a>
+            </div>
+        </div>
+    `;
+}
+
+// Closest loaded developers passing the filters, as [developer, km]
+function getNearbyDevelopers(developer) {
+    if (!developer.coordinates) return [];
+    
+    const nearby = [];
+    for (const dev of allDevelopers.values()) {
+        if (dev === developer || !dev.coordinates || !matchesFilters(dev, filters)) continue;
+        const distance = getDistanceKm(developer.coordinates, dev.coordinates);
+        if (distance <= PROFILE_CONFIG.nearbyRadiusKm) {
+            nearby.push([dev, distance]);
+        }
+    }
+    
+    return nearby
+        .sort((a, b) => a[1] - b[1] || (b[0].followers || 0) - (a[0].followers || 0))
+        .slice(0, PROFILE_CONFIG.nearbyDevelopers);
+}
+
+// "3 days ago", "5 years ago"
+function formatTimeAgo(date) {
+    const days = (Date.now() - new Date(date).getTime()) / 86400000;
+    const format = new Intl.RelativeTimeFormat('en', { numeric: 'auto' });
+    if (days >= 365) return format.format(-Math.floor(days / 365), 'year');
+    if (days >= 30) return format.format(-Math.floor(days / 30), 'month');
+    return format.format(-Math.floor(days), 'day');
+}
+
+// Whether the pipeline wrote per-developer detail files (see saveDeveloperDetail)
+function hasDeveloperExtras() {
+    return Boolean(index && index.details && index.details.count > 0);
+}
+
+// Load a developer's detail file, once; developers without one get null
+async function loadDeveloperExtras(login) {
+    if (!hasDeveloperExtras() || developerExtras.has(login)) return developerExtras.get(login) || null;
+    
+    try {
+        const response = await fetch(`./data/${index.details.dir}/${login.toLowerCase()}.json`);
+        developerExtras.set(login, response.ok ? await response.json() : null);
+    } catch (error) {
+        console.error(`❌ Failed to load details for ${login}:`, error);
+        developerExtras.set(login, null);
+    }
+    return developerExtras.get(login);
+}
+
+// Whether the pipeline wrote developers' history (see createHistoryFile)
+function hasDeveloperHistory() {
+    return Boolean(index && index.history && index.history.count > 0);
+}
+
+// Load everyone's history, once; it's one file, so the first profile opened waits for it
+function loadDeveloperHistory() {
+    if (!historyPromise) {
+        historyPromise = fetch(`./data/${index.history.file}`)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`Failed to load ${index.history.file}: ${response.status}`);
+                }
+                return response.json();
+            })
+            .then(history => {
+                developerHistory = new Map(Object.entries(history.developers));
+                console.log(`🕰️  Loaded history for ${developerHistory.size} developers`);
+            })
+            .catch(error => {
+                console.error('❌ Failed to load history:', error);
+                developerHistory = new Map();
+            });
+    }
+    return historyPromise;
+}
+
+// Moves and company changes from a developer's history, newest first, and how their followers and stars grew
+function createHistoryContent(login) {
+    const entries = developerHistory && developerHistory.get(login);
+    if (!entries) return '';
+    
+    const events = [];
+    entries.forEach(({ changed_at: changedAt, changes }) => {
+        const date = escapeHtml(changedAt.slice(0, 10));
+        if (changes.location) {
+            const { from, to } = changes.location;
+            events.push(['📍', from && to ? `Moved from ${escapeHtml(from)} to ${escapeHtml(to)}` : to ? `Added location ${escapeHtml(to)}` : `Removed location ${escapeHtml(from)}`, date]);
+        }
+        if (changes.company) {
+            const { from, to } = changes.company;
+            events.push(['🏢', from && to ? `Changed company from ${escapeHtml(from)} to ${escapeHtml(to)}` : to ? `Joined ${escapeHtml(to)}` : `Left ${escapeHtml(from)}`, date]);
+        }
+    });
+    
+    // First recorded value to the latest one
+    const growth = (field, icon, label) => {
+        const changed = entries.filter(entry => entry.changes[field] && entry.changes[field].from !== null);
+        if (changed.length === 0) return '';
+        const from = changed[0].changes[field].from;
+        const to = changed[changed.length - 1].changes[field].to;
+        return `<li>${icon} ${label} ${formatNumber(from)} → ${formatNumber(to ?? 0)} <span class="stat-label">since ${escapeHtml(changed[0].changed_at.slice(0, 10))}</span></li>`;
+    };
+    
+    const counts = growth('followers', '👥', 'Followers') + growth('total_stars', '⭐', 'Stars');
+    if (events.length === 0 && !counts) return '';
+    
+    return `
+        <h3>History</h3>
+        <ul class="profile-history">
+            ${events.reverse().slice(0, PROFILE_CONFIG.historyEntries).map(([icon, text, date]) => `
+                <li>${icon} ${text} <span class="stat-label">${date}</span></li>
+            `).join('')}
+            ${counts}
+        </ul>
+    `;
+}
+
+// Profile panel content: the full record, lazily loaded repositories and history, and nearby developers
+function createProfileContent(developer) {
+    const social = developer.social || {};
+    const languages = developer.top_languages || [];
+    const extras = developerExtras.get(developer.login);
+    const loading = developer.detailFile || (hasDeveloperExtras() && !developerExtras.has(developer.login)) ||
+        (hasDeveloperHistory() && !developerHistory);
+    const nearby = getNearbyDevelopers(developer);
+    
+    const stat = (value, label) => value === null || value === undefined ? '' : `
+        <div class="stat-item"><span class="stat-value">${formatNumber(value)}</span><span class="stat-label">${label}</span></div>
+    `;
+    
+    // Only http(s) links; a profile can hold any text
+    const links = [
+        ['🐙', 'GitHub', developer.html_url],
+        ['🌐', 'Website', social.website],
+        ['🐦', 'Twitter', social.twitter],
+        ['💼', 'LinkedIn', social.linkedin],
+        ['📺', 'YouTube', social.youtube]
+    ]
+        .map(([icon, label, url]) => [icon, label, safeUrl(url)])
+        .filter(([, , url]) => url);
+    
+    // Data older than the refresh interval is probably out of date
+    const downloadedAt = developer.downloaded_at;
+    const stale = downloadedAt && Date.now() - new Date(downloadedAt).getTime() > PROFILE_CONFIG.staleAfterDays * 86400000;
+    
+    const repositories = extras && extras.top_repositories.length > 0 ? `
+        <h3>Top repositories</h3>
+        <ul class="profile-repositories">
+            ${extras.top_repositories.map(repo => `
+                <li>
+                    <a href="${safeUrl(repo.html_url) || '#'}" target="_blank">${escapeHtml(repo.name)}</a>
+                    <span class="stat-label">⭐ ${formatNumber(repo.stargazers_count)} · 🍴 ${formatNumber(repo.forks_count)}${repo.language ? ` · ${escapeHtml(repo.language)}` : ''}</span>
+                    ${repo.description ? `<p>${escapeHtml(repo.description)}</p>` : ''}
+                </li>
+            `).join('')}
+        </ul>
+    ` : '';
+    
+    return `
+        <button class="profile-panel-close" onclick="closeProfilePanel()">×</button>
+        <div class="profile-header">
+            <img class="developer-avatar" src="${escapeHtml(developer.avatar_url)}" alt="${escapeHtml(developer.login)}">
+            <div>
+                <h2>${escapeHtml(developer.name || developer.login)}</h2>
+                <div class="username">@${escapeHtml(developer.login)}</div>
+            </div>
+        </div>
+        
+        ${developer.location ? `<div class="location">📍 ${escapeHtml(developer.location)}</div>` : ''}
+        ${developer.company ? `<div>🏢 ${escapeHtml(developer.company)}</div>` : ''}
+        ${developer.bio ? `<div class="developer-bio">${escapeHtml(developer.bio)}</div>` : ''}
+        
+        <div class="developer-stats">
+            ${stat(developer.followers, 'followers')}
+            ${stat(developer.following, 'following')}
+            ${stat(developer.public_repos, 'repos')}
+            ${stat(developer.total_stars, 'stars')}
+            ${stat(developer.total_forks, 'forks')}
+            ${stat(developer.public_gists, 'gists')}
+        </div>
+        
+        ${languages.length > 0 ? `
+            <div class="developer-languages">
+                ${languages.map(language => `<span class="language-tag">${escapeHtml(language)}</span>`).join('')}
+            </div>
+        ` : ''}
+        
+        <div class="developer-social">
+            ${links.map(([icon, label, url]) => `
+                <a href="${url}" target="_blank" class="social-link ${label.toLowerCase()}"><span>${icon}</span> ${label}</a>
+            `).join('')}
+        </div>
+        
+        <div class="profile-dates">
+            ${developer.created_at ? `<div>📅 Joined GitHub ${formatTimeAgo(developer.created_at)} (${escapeHtml(developer.created_at.slice(0, 10))})</div>` : ''}
+            ${downloadedAt ? `<div class="${stale ? 'profile-stale' : ''}">🔄 Data from ${formatTimeAgo(downloadedAt)}${stale ? ', may be out of date' : ''}</div>` : ''}
+        </div>
+        
+        ${loading ? '<p class="popup-loading">Loading profile...</p>' : ''}
+        ${createHistoryContent(developer.login)}
+        ${repositories}
+        
+        ${nearby.length > 0 ? `
+            <h3>Nearby developers</h3>
+            <ul class="profile-nearby">
+                ${nearby.map(([dev, distance]) => `
+                    <li>
+                        <a href="#" class="profile-nearby-link" data-login="${escapeHtml(dev.login)}">
+                            <img src="${escapeHtml(dev.avatar_url)}" alt="${escapeHtml(dev.login)}">
+                            ${escapeHtml(dev.name || dev.login)}
+                        </a>
+                        <span class="stat-label">${formatDistance(distance)}</span>
+                    </li>
+                `).join('')}
+            </ul>
+        ` : ''}
+    `;
+}
+
+// Show the selected developer in the profile panel, then fill in their full record and extras
+async function showProfilePanel() {
+    const panel = document.getElementById('profilePanel');
+    if (!panel) return;
+    
+    const developer = selectedLogin && allDevelopers.get(selectedLogin);
+    if (!developer) {
+        panel.classList.add('hidden');
+        return;
+    }
+    
+    hideRegionPanel();
+    panel.innerHTML = createProfileContent(developer);
+    panel.classList.remove('hidden');
+    
+    const login = developer.login;
+    if (developer.detailFile || (hasDeveloperExtras() && !developerExtras.has(login)) || (hasDeveloperHistory() && !developerHistory)) {
+        await Promise.all([
+            loadDeveloperDetail(developer),
+            loadDeveloperExtras(login),
+            hasDeveloperHistory() ? loadDeveloperHistory() : null
+        ]);
+        if (selectedLogin === login) {
+            panel.innerHTML = createProfileContent(developer);
+        }
+    }
+}
+
+// Select a developer (or nobody): profile panel, list highlight and URL
+function selectDeveloper(login) {
+    selectedLogin = login;
+    showProfilePanel();
+    document.querySelectorAll('.developer-item').forEach(item => {
+        item.classList.toggle('selected', item.dataset.login === login);
+    });
+    updateUrlState();
+}
+
+// Jump to a developer listed under "Nearby developers"
+function showNearbyDeveloper(login) {
+    selectDeveloper(login);
+    showSelectedDeveloper();
+}
+
+// Close the profile panel and the popup that goes with it
+function closeProfilePanel() {
+    selectDeveloper(null);
+    map.closePopup();
+}
+
+// Clicks on a "Nearby developers" link, handled once for whatever the panel shows
+function setupProfilePanel() {
+    const panel = document.getElementById('profilePanel');
+    if (!panel) return;
+    
+    panel.addEventListener('click', (e) => {
+        const link = e.target.closest('.profile-nearby-link');
+        if (link) {
+            e.preventDefault();
+            showNearbyDeveloper(link.dataset.login);
+        }
+    });
+}
+
+// Distance label: "< 1 km", "12 km"
+function formatDistance(km) {
+    return `${km < 1 ? '< 1' : Math.round(km).toLocaleString()} km`;
+}
+
+// Draw the radius search circle and load the data inside it
+async function setRadiusSearch(center, radiusKm, place = null) {
+    radiusSearch = { lat: center.lat, lng: center.lng, radiusKm, place };
+    
+    if (markerLayers.radius) {
+        map.removeLayer(markerLayers.radius);
+    }
+    markerLayers.radius = L.circle([center.lat, center.lng], {
+        ...RADIUS_CONFIG.circleStyle,
+        radius: radiusKm * 1000
+    }).addTo(map);
+    
+    // Tiles are loaded as they're viewed, so some inside the circle may be missing
+    if (!compactLoaded) {
+        const tiles = getTilesInBounds(markerLayers.radius.getBounds()).filter(tile => !loadedTiles.has(tile.file));
+        if (tiles.length > 0) {
+            showLoading(true, `Loading ${tiles.length} map tiles...`);
+            try {
+                await Promise.all(tiles.map(loadTile));
+            } finally {
+                showLoading(false);
+            }
+            await updateMapMarkers();
+        }
+    }
+    
+    updateRadiusControls();
+}
+
+// Remove the radius search circle
+function clearRadiusSearch() {
+    radiusSearch = null;
+    if (markerLayers.radius) {
+        map.removeLayer(markerLayers.radius);
+        markerLayers.radius = null;
+    }
+    
+    // Distance only means something while searching around a point
+    if (currentSort === 'distance') {
+        currentSort = 'total_stars';
+        const sortSelect = document.getElementById('sortSelect');
+        if (sortSelect) {
+            sortSelect.value = currentSort;
+        }
+    }
+    updateRadiusControls();
+}
+
+// Search around a point and list everyone inside, nearest first
+async function searchNearby(center, place = null) {
+    const radiusInput = document.getElementById('radiusKm');
+    const radiusKm = Number(radiusInput && radiusInput.value) || LOADING_CONFIG.loadRadius;
+    
+    await setRadiusSearch(center, radiusKm, place);
+    map.fitBounds(markerLayers.radius.getBounds());
+    
+    currentSort = 'distance';
+    document.getElementById('sortSelect').value = currentSort;
+    showView('list');
+    updateUrlState();
+    console.log(`📍 Radius search: ${radiusKm} km around ${place || `[${center.lat.toFixed(3)}, ${center.lng.toFixed(3)}]`}`);
+}
+
+// Search around a typed place, geocoded with the bundled gazetteer
+async function searchNearbyPlace(place) {
+    const coords = await geocodeLocation(place);
+    if (!coords) {
+        showError(`Couldn't find "${place}". Try a city name, or right-click the map.`);
+        return;
+    }
+    await searchNearby(coords, place);
+}
+
+// Stop searching around a point (the clear button)
+function endRadiusSearch() {
+    clearRadiusSearch();
+    if (currentView === 'list') {
+        renderDeveloperList();
+    }
+    updateUrlState();
+}
+
+// Keep the radius search form in line with the current search
+function updateRadiusControls() {
+    const placeInput = document.getElementById('radiusPlace');
+    const radiusInput = document.getElementById('radiusKm');
+    const clearBtn = document.getElementById('clearRadiusBtn');
+    const distanceOption = document.querySelector('#sortSelect option[value="distance"]');
+    
+    if (radiusSearch) {
+        if (placeInput) placeInput.value = radiusSearch.place || '';
+        if (radiusInput) radiusInput.value = radiusSearch.radiusKm;
+    }
+    if (clearBtn) {
+        clearBtn.classList.toggle('hidden', !radiusSearch);
+    }
+    if (distanceOption) {
+        distanceOption.disabled = !radiusSearch;
+    }
+}
+
+// Wire up the radius search form and right-clicking the map
+function setupRadiusControls() {
+    const form = document.getElementById('radiusForm');
+    const placeInput = document.getElementById('radiusPlace');
+    const radiusInput = document.getElementById('radiusKm');
+    const clearBtn = document.getElementById('clearRadiusBtn');
+    
+    map.on('contextmenu', (e) => searchNearby(e.latlng));
+    
+    if (radiusInput) {
+        radiusInput.value = LOADING_CONFIG.loadRadius;
+        // A new radius redoes the current search in place
+        radiusInput.addEventListener('change', async () => {
+            const radiusKm = Number(radiusInput.value);
+            if (!radiusSearch || !(radiusKm > 0)) return;
+            await setRadiusSearch(radiusSearch, radiusKm, radiusSearch.place);
+            if (currentView === 'list') {
+                renderDeveloperList();
+            }
+            updateUrlState();
+        });
+    }
+    
+    if (form && placeInput) {
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const place = placeInput.value.trim();
+            if (place) {
+                searchNearbyPlace(place);
+            }
+        });
+    }
+    
+    if (clearBtn) {
+        clearBtn.addEventListener('click', endRadiusSearch);
+    }
+    
+    updateRadiusControls();
+}
+
+// Update developer count display
+function updateDeveloperCount() {
+    const totalLoaded = allDevelopers.size;
+    const markersShown = markers.length;
+    let sourcesLoaded = index && index.tiles
+        ? `${loadedTiles.size} tiles`
+        : `${loadedBatches.size} batches`;
+    if (compactLoaded) {
+        sourcesLoaded = `compact data • ${loadedTiles.size} detail tiles`;
+    }
+    if (timelineSnapshot) {
+        sourcesLoaded += ` • map as of ${timelineSnapshot.date}`;
+    }
+    const filterStatus = isFilterActive(filters)
+        ? ` • ${filteredCount.toLocaleString()} match filters`
+        : '';
+    
+    const countElement = document.getElementById('developerCount');
+    if (countElement) {
+        countElement.innerHTML = `
+            <div class="count-primary">${markersShown.toLocaleString()} developers shown</div>
+            <div class="count-secondary">${totalLoaded.toLocaleString()} loaded${filterStatus} • ${sourcesLoaded}</div>
+        `;
+    }
+}
+
+// Show/hide loading indicator
+function showLoading(show, message = 'Loading...') {
+    const loadingEl = document.getElementById('loading');
+    const messageEl = loadingEl.querySelector('p');
+    
+    if (show) {
+        if (messageEl) messageEl.textContent = message;
+        loadingEl.classList.remove('hidden');
+    } else {
+        loadingEl.classList.add('hidden');
+    }
+}
+
+// Show error message
+function showError(message) {
+    const errorEl = document.createElement('div');
+    errorEl.className = 'error-message';
+    errorEl.innerHTML = `
+        <div class="error-content">
+            <span class="error-icon">⚠️</span>
+            <span class="error-text"></span>
+            <button class="error-close" onclick="this.parentElement.parentElement.remove()">×</button>
+        </div>
+    `;
+    // Messages can contain what the user typed, so they're set as text, never as HTML
+    errorEl.querySelector('.error-text').textContent = message;
+    document.body.appendChild(errorEl);
+    
+    // Auto-remove after 5 seconds
+    setTimeout(() => {
+        if (errorEl.parentElement) {
+            errorEl.remove();
+        }
+    }, 5000);
+}
+
+// Clear all data and reload
+function clearAll() {
+    console.log('🗑️  Clearing all data...');
+    
+    markerLayers.all.clearLayers();
+    markers = [];
+    markerByLogin.clear();
+    allDevelopers.clear();
+    developersVersion++;
+    loadedBatches.clear();
+    loadedTiles.clear();
+    compactLoaded = false;
+    regionDataPromise = null;
+    dashboardPromise = null;
+    developerExtras.clear();
+    developerHistory = null;
+    historyPromise = null;
+    stopTimelinePlayback();
+    timelineSnapshot = null;
+    snapshotRequests.clear();
+    searchIndex = null;
+    searchIndexPromise = null;
+    fallbackSearch = null;
+    if (listWorker) {
+        listWorker.terminate();
+    }
+    listWorker = undefined; // Started again, with the new search index, by the next list render
+    
+    updateHeatmap();
+    updateDeveloperCount();
+    console.log('✅ All data cleared');
+}
+
+// Refresh and reload data
+async function refreshData() {
+    console.log('🔄 Refreshing data...');
+    clearAll();
+    await loadInitialData();
+}
+
+// Delay utility
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// List view functionality
+let currentView = 'map'; // 'map' or 'list'
+let currentSort = 'total_stars';
+let searchQuery = '';
+
+// List view configuration
+// Only the rows on screen are in the page, so the list stays fast with every developer loaded.
+const LIST_CONFIG = {
+    rowHeight: 104,                 // Pixels per row, gap included (see .developer-list .developer-item in style.css)
+    overscan: 5,                    // Rows rendered above and below the visible ones
+    languages: 3                    // Language tags shown per row
+};
+
+let listWorker;                // Worker filtering and sorting the list (developer-list-worker.js); null where it can't run
+let listWorkerVersion = null;  // developersVersion the worker last got
+let developersVersion = 0;     // Bumped whenever loaded developers are added or changed
+let listQueryId = 0;           // Latest list query; older answers are dropped
+let listResult = { logins: [], distances: null };
+let listCursor = -1;           // Row the keyboard is on
+let listScrollToSelected = false; // Scroll the selected developer into view once the pending result is in
 
 function toggleView() {
-    const mapContainer = document.getElementById('mapContainer');
-    const listContainer = document.getElementById('listContainer');
+    showView(currentView === 'list' ? 'map' : 'list');
+    updateUrlState();
+}
+
+// Switch between the dashboard and the map
+function toggleDashboard() {
+    showView(currentView === 'dashboard' ? 'map' : 'dashboard');
+    updateUrlState();
+}
+
+// Show the map ('map'), the list ('list') or the dashboard ('dashboard')
+function showView(view) {
+    const containers = { map: 'mapContainer', list: 'listContainer', dashboard: 'dashboardContainer' };
     const toggleBtn = document.getElementById('toggleViewBtn');
+    const dashboardBtn = document.getElementById('dashboardBtn');
+    
+    currentView = view;
+    Object.entries(containers).forEach(([name, id]) => {
+        document.getElementById(id).classList.toggle('hidden', name !== view);
+    });
+    toggleBtn.textContent = view === 'list' ? '🗺️ Map View' : '📋 List View';
+    if (dashboardBtn) {
+        dashboardBtn.textContent = view === 'dashboard' ? '🗺️ Map View' : '📊 Dashboard';
+    }
     
-    if (currentView === 'map') {
-        currentView = 'list';
-        mapContainer.classList.add('hidden');
-        listContainer.classList.remove('hidden');
-        toggleBtn.textContent = '🗺️ Map View';
+    if (view === 'list') {
         renderDeveloperList();
-    } else {
-        currentView = 'map';
-        mapContainer.classList.remove('hidden');
-        listContainer.classList.add('hidden');
-        toggleBtn.textContent = '📋 List View';
+    } else if (view === 'dashboard') {
+        showDashboard();
+    }
+}
+
+// Load the pipeline's statistics (data/stats.json) and draw the dashboard, once
+function showDashboard() {
+    const content = document.getElementById('dashboardContent');
+    if (!index || !index.stats) {
+        content.innerHTML = '<p class="stat-label">No statistics yet. Run <code>node cli.js index</code> to build data/stats.json.</p>';
+        return Promise.resolve();
+    }
+    
+    if (!dashboardPromise) {
+        showLoading(true, 'Loading statistics...');
+        dashboardPromise = fetch(`./data/${index.stats.file}`)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`Failed to load ${index.stats.file}: ${response.status}`);
+                }
+                return response.json();
+            })
+            .then(stats => {
+                content.innerHTML = createDashboardContent(stats, { countryName: getCountryName });
+                console.log(`📊 Dashboard drawn for ${stats.totals.developers} developers`);
+            })
+            .catch(error => {
+                console.error('❌ Failed to load dashboard statistics:', error);
+                showError('Failed to load the dashboard statistics');
+                dashboardPromise = null;
+            })
+            .finally(() => showLoading(false));
+    }
+    return dashboardPromise;
+}
+
+// Start the list worker, once; null where workers can't run (e.g. pages opened from file://)
+function getListWorker() {
+    if (listWorker !== undefined) return listWorker;
+    
+    let worker;
+    try {
+        worker = new Worker('developer-list-worker.js?v=5');
+    } catch (error) {
+        console.log(`⚠️  List worker unavailable (${error.message}), sorting the list on the page`);
+        listWorker = null;
+        return null;
+    }
+    
+    worker.onmessage = ({ data }) => {
+        if (data.id === listQueryId) {
+            showListResult(data);
+        }
+    };
+    worker.onerror = (error) => {
+        console.error('❌ List worker failed, sorting the list on the page:', error.message);
+        worker.terminate();
+        if (listWorker === worker) {
+            listWorker = null;
+            renderDeveloperList();
+        }
+    };
+    
+    if (index && index.search) {
+        worker.postMessage({ type: 'searchIndex', url: new URL(`data/${index.search.file}`, location.href).href });
     }
+    listWorker = worker;
+    listWorkerVersion = null;
+    return worker;
+}
+
+// What the list worker needs of a developer: the fields it filters, searches and sorts on
+function getListFields(dev) {
+    return {
+        login: dev.login,
+        name: dev.name,
+        bio: dev.bio,
+        company: dev.company,
+        location: dev.location,
+        location_normalized: dev.location_normalized,
+        country_code: dev.country_code,
+        created_at: dev.created_at,
+        coordinates: dev.coordinates,
+        top_languages: dev.top_languages,
+        followers: dev.followers,
+        total_stars: dev.total_stars,
+        public_repos: dev.public_repos,
+        total_forks: dev.total_forks
+    };
 }
 
+// Filter, search and sort the list (in the worker when there is one), then show it
 function renderDeveloperList() {
-    const developerList = document.getElementById('developerList');
+    const options = {
+        filters,
+        query: searchQuery,
+        sort: currentSort,
+        radius: radiusSearch && { ...radiusSearch, minConfidence: MARKER_CONFIG.minConfidence }
+    };
+    
+    const worker = getListWorker();
+    if (worker) {
+        if (listWorkerVersion !== developersVersion) {
+            worker.postMessage({ type: 'developers', developers: Array.from(allDevelopers.values(), getListFields) });
+            listWorkerVersion = developersVersion;
+        }
+        worker.postMessage({ type: 'query', id: ++listQueryId, options });
+        return;
+    }
     
+    listQueryId++;
+    showListResult(listDevelopers(Array.from(allDevelopers.values()), options,
+        query => searchDevelopers(query, Infinity).map(result => result.login)));
+}
+
+// Show a list result ({ logins, distances }, see listDevelopers)
+// The keyboard's row, or else the selected developer, stays where it was on screen if it's still listed.
+function showListResult(result) {
+    const developerList = document.getElementById('developerList');
     if (!developerList) return;
     
-    // Get all developers and sort them
-    const developers = Array.from(allDevelopers.values());
-    
-    // Filter by search query
-    const filteredDevelopers = developers.filter(dev => {
-        if (!searchQuery) return true;
-        const query = searchQuery.toLowerCase();
-        return (
-            (dev.name && dev.name.toLowerCase().includes(query)) ||
-            (dev.login && dev.login.toLowerCase().includes(query)) ||
-            (dev.bio && dev.bio.toLowerCase().includes(query)) ||
-            (dev.location && dev.location.toLowerCase().includes(query)) ||
-            (dev.company && dev.company.toLowerCase().includes(query))
-        );
-    });
+    const { rowHeight } = LIST_CONFIG;
+    const cursorLogin = listResult.logins[listCursor];
+    const anchorLogin = cursorLogin || selectedLogin;
+    const previousRow = listResult.logins.indexOf(anchorLogin);
+    const anchorOffset = previousRow * rowHeight - developerList.scrollTop;
     
-    // Sort developers
-    filteredDevelopers.sort((a, b) => {
-        const aValue = a[currentSort] || 0;
-        const bValue = b[currentSort] || 0;
-        return bValue - aValue; // Descending order
-    });
+    listResult = result;
+    listCursor = cursorLogin ? result.logins.indexOf(cursorLogin) : -1;
+    developerList.querySelector('.developer-list-rows').style.height = `${result.logins.length * rowHeight}px`;
     
-    // Render the list
-    developerList.innerHTML = filteredDevelopers.map((dev, index) => {
-        const socialLinks = dev.social || {};
-        const languages = dev.top_languages || [];
-        
-        return `
-            <div class="developer-item">
-                <div class="rank-badge">#${index + 1}</div>
-                
-                <div class="developer-header">
-                    <img class="developer-avatar" src="${dev.avatar_url}" alt="${dev.name || dev.login}" />
-                    <div class="developer-info">
-                        <h3>${dev.name || dev.login}</h3>
-                        <div class="username">@${dev.login}</div>
-                        <div class="location">📍 ${dev.location || 'Unknown'}</div>
-                    </div>
-                </div>
-                
-                <div class="developer-stats">
-                    <div class="stat-item">
-                        <span class="stat-value">⭐${formatNumber(dev.total_stars || 0)}</span>
-                        <span class="stat-label">stars</span>
-                    </div>
-                    <div class="stat-item">
-                        <span class="stat-value">👥${formatNumber(dev.followers || 0)}</span>
-                        <span class="stat-label">followers</span>
-                    </div>
-                    <div class="stat-item">
-                        <span class="stat-value">📁${dev.public_repos || 0}</span>
-                        <span class="stat-label">repos</span>
-                    </div>
-                    <div class="stat-item">
-                        <span class="stat-value">🍴${formatNumber(dev.total_forks || 0)}</span>
-                        <span class="stat-label">forks</span>
-                    </div>
-                </div>
-                
-                ${dev.bio ? `<div class="developer-bio">${dev.bio}</div>` : ''}
-                
-                ${languages.length > 0 ? `
-                    <div class="developer-languages">
-                        ${languages.map(lang => `<span class="language-tag">${lang}</span>`).join('')}
-                    </div>
-                ` : ''}
-                
-                <div class="developer-social">
-                    <a href="${dev.html_url}" target="_blank" class="social-link github">
-                        <span>🐙</span> GitHub
-                    </a>
-                    ${socialLinks.twitter ? `
-                        <a href="${socialLinks.twitter}" target="_blank" class="social-link twitter">
-                            <span>🐦</span> Twitter
-                        </a>
-                    ` : ''}
-                    ${socialLinks.linkedin ? `
-                        <a href="${socialLinks.linkedin}" target="_blank" class="social-link linkedin">
-                            <span>💼</span> LinkedIn
-                        </a>
-                    ` : ''}
-                    ${socialLinks.youtube ? `
-                        <a href="${socialLinks.youtube}" target="_blank" class="social-link youtube">
-                            <span>📺</span> YouTube
-                        </a>
-                    ` : ''}
-                    ${socialLinks.website && !socialLinks.twitter && !socialLinks.linkedin && !socialLinks.youtube ? `
-                        <a href="${socialLinks.website}" target="_blank" class="social-link website">
-                            <span>🌐</span> Website
-                        </a>
-                    ` : ''}
-                </div>
+    const selectedRow = listScrollToSelected ? result.logins.indexOf(selectedLogin) : -1;
+    const anchorRow = result.logins.indexOf(anchorLogin);
+    listScrollToSelected = false;
+    if (selectedRow >= 0) {
+        listCursor = selectedRow;
+        scrollToListRow(selectedRow, 'center');
+    } else if (previousRow >= 0 && anchorRow >= 0) {
+        developerList.scrollTop = anchorRow * rowHeight - anchorOffset;
+    }
+    renderVisibleRows();
+    
+    const radiusSummary = document.getElementById('radiusSummary');
+    if (radiusSummary) {
+        radiusSummary.classList.toggle('hidden', !radiusSearch);
+        if (radiusSearch) {
+            const place = radiusSearch.place || `${radiusSearch.lat.toFixed(3)}, ${radiusSearch.lng.toFixed(3)}`;
+            radiusSummary.textContent = `📍 ${result.logins.length.toLocaleString()} developers within ${radiusSearch.radiusKm.toLocaleString()} km of ${place}`;
+        }
+    }
+    
+    console.log(`📋 Listed ${result.logins.length} developers`);
+}
+
+// Render the rows in (and just around) the visible part of the list
+function renderVisibleRows() {
+    const developerList = document.getElementById('developerList');
+    const rows = developerList && developerList.querySelector('.developer-list-rows');
+    if (!rows) return;
+    
+    const { rowHeight, overscan } = LIST_CONFIG;
+    const first = Math.max(0, Math.floor(developerList.scrollTop / rowHeight) - overscan);
+    const last = Math.min(
+        listResult.logins.length,
+        Math.ceil((developerList.scrollTop + developerList.clientHeight) / rowHeight) + overscan
+    );
+    
+    let html = '';
+    for (let row = first; row < last; row++) {
+        const dev = allDevelopers.get(listResult.logins[row]);
+        if (dev) {
+            html += createListRow(dev, row);
+        }
+    }
+    rows.innerHTML = html;
+}
+
+// A row of the list: rank, avatar, name, location and stats (the profile panel has the rest)
+function createListRow(dev, row) {
+    const distance = listResult.distances ? listResult.distances.get(dev.login) : undefined;
+    const languages = (dev.top_languages || []).slice(0, LIST_CONFIG.languages);
+    const classes = ['developer-item'];
+    if (dev.login === selectedLogin) classes.push('selected');
+    if (row === listCursor) classes.push('active');
+    
+    return `
+        <div class="${classes.join(' ')}" data-login="${escapeHtml(dev.login)}" style="top: ${row * LIST_CONFIG.rowHeight}px">
+            <div class="rank-badge">#${row + 1}</div>
+            <img class="developer-avatar" src="${escapeHtml(dev.avatar_url)}" alt="${escapeHtml(dev.name || dev.login)}" loading="lazy" />
+            <div class="developer-info">
+                <h3>${escapeHtml(dev.name || dev.login)}</h3>
+                <div class="username">@${escapeHtml(dev.login)}</div>
+                <div class="location">📍 ${escapeHtml(dev.location || 'Unknown')}${distance !== undefined ? ` · ${formatDistance(distance)} away` : ''}</div>
             </div>
-        `;
-    }).join('');
+            <div class="developer-stats">
+                <div class="stat-item"><span class="stat-value">⭐${formatNumber(dev.total_stars || 0)}</span><span class="stat-label">stars</span></div>
+                <div class="stat-item"><span class="stat-value">👥${formatNumber(dev.followers || 0)}</span><span class="stat-label">followers</span></div>
+                <div class="stat-item"><span class="stat-value">📁${dev.public_repos || 0}</span><span class="stat-label">repos</span></div>
+                <div class="stat-item"><span class="stat-value">🍴${formatNumber(dev.total_forks || 0)}</span><span class="stat-label">forks</span></div>
+            </div>
+            ${languages.length > 0 ? `
+                <div class="developer-languages">
+                    ${languages.map(lang => `<span class="language-tag">${escapeHtml(lang)}</span>`).join('')}
+                </div>
+            ` : ''}
+        </div>
+    `;
+}
+
+// Scroll a row into view: just enough to show it, or to the middle ('center')
+function scrollToListRow(row, block = 'nearest') {
+    const developerList = document.getElementById('developerList');
+    const { rowHeight } = LIST_CONFIG;
+    const top = row * rowHeight;
+    
+    if (block === 'center') {
+        developerList.scrollTop = top - (developerList.clientHeight - rowHeight) / 2;
+    } else if (top < developerList.scrollTop) {
+        developerList.scrollTop = top;
+    } else if (top + rowHeight > developerList.scrollTop + developerList.clientHeight) {
+        developerList.scrollTop = top + rowHeight - developerList.clientHeight;
+    }
+}
+
+// Move the keyboard to a row of the list
+function moveListCursor(row) {
+    if (listResult.logins.length === 0) return;
     
-    console.log(`📋 Rendered ${filteredDevelopers.length} developers in list view`);
+    listCursor = Math.max(0, Math.min(listResult.logins.length - 1, row));
+    scrollToListRow(listCursor);
+    renderVisibleRows();
 }
 
 function formatNumber(num) {
@@ -906,11 +1935,17 @@ function setupListControls() {
     const toggleBtn = document.getElementById('toggleViewBtn');
     const sortSelect = document.getElementById('sortSelect');
     const searchInput = document.getElementById('searchInput');
+    const developerList = document.getElementById('developerList');
     
     if (toggleBtn) {
         toggleBtn.addEventListener('click', toggleView);
     }
     
+    const dashboardBtn = document.getElementById('dashboardBtn');
+    if (dashboardBtn) {
+        dashboardBtn.addEventListener('click', toggleDashboard);
+    }
+    
     if (sortSelect) {
         sortSelect.value = currentSort;
         sortSelect.addEventListener('change', (e) => {
@@ -918,12 +1953,66 @@ function setupListControls() {
             if (currentView === 'list') {
                 renderDeveloperList();
             }
+            updateUrlState();
+        });
+    }
+    
+    if (developerList) {
+        // Clicking a row opens the profile panel
+        developerList.addEventListener('click', (e) => {
+            const item = e.target.closest('.developer-item');
+            if (item) {
+                listCursor = listResult.logins.indexOf(item.dataset.login);
+                selectDeveloper(item.dataset.login);
+                renderVisibleRows();
+            }
+        });
+        
+        // Arrow keys, Page Up/Down, Home and End move through the rows; Enter opens the profile
+        developerList.addEventListener('keydown', (e) => {
+            const pageRows = Math.max(1, Math.floor(developerList.clientHeight / LIST_CONFIG.rowHeight));
+            const moves = {
+                ArrowDown: listCursor + 1,
+                ArrowUp: listCursor - 1,
+                PageDown: listCursor + pageRows,
+                PageUp: listCursor - pageRows,
+                Home: 0,
+                End: listResult.logins.length - 1
+            };
+            
+            if (e.key in moves) {
+                e.preventDefault();
+                moveListCursor(moves[e.key]);
+            } else if (e.key === 'Enter' && listCursor >= 0) {
+                e.preventDefault();
+                selectDeveloper(listResult.logins[listCursor]);
+            }
+        });
+        
+        // Swap the rendered rows as the list scrolls, at most once a frame
+        let scrollFrame = null;
+        developerList.addEventListener('scroll', () => {
+            if (scrollFrame === null) {
+                scrollFrame = requestAnimationFrame(() => {
+                    scrollFrame = null;
+                    renderVisibleRows();
+                });
+            }
+        });
+        window.addEventListener('resize', () => {
+            if (currentView === 'list') {
+                renderVisibleRows();
+            }
         });
     }
     
     if (searchInput) {
-        searchInput.addEventListener('input', (e) => {
+        searchInput.addEventListener('input', async (e) => {
             searchQuery = e.target.value;
+            // The worker loads the search index itself
+            if (!getListWorker()) {
+                await loadSearchIndex();
+            }
             if (currentView === 'list') {
                 renderDeveloperList();
             }
@@ -931,6 +2020,476 @@ function setupListControls() {
     }
 }
 
+// Load the pipeline's search index (see search-index.js), once
+function loadSearchIndex() {
+    if (!index || !index.search) return Promise.resolve();
+    
+    if (!searchIndexPromise) {
+        searchIndexPromise = fetch(`./data/${index.search.file}`)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`Failed to load ${index.search.file}: ${response.status}`);
+                }
+                return response.json();
+            })
+            .then(data => {
+                searchIndex = createSearcher(data);
+                console.log(`🔎 Search index loaded: ${data.terms.length} terms`);
+            })
+            .catch(error => {
+                console.error('❌ Failed to load search index, searching loaded developers only:', error);
+                searchIndexPromise = null;
+            });
+    }
+    return searchIndexPromise;
+}
+
+// Ranked search over developers, best first
+// Without the prebuilt index, an index of the loaded developers is built (and rebuilt as more load).
+function searchDevelopers(query, limit) {
+    if (searchIndex) {
+        return searchIndex.search(query, limit);
+    }
+    if (!fallbackSearch || fallbackSearch.size !== allDevelopers.size) {
+        fallbackSearch = {
+            size: allDevelopers.size,
+            searcher: createSearcher(buildSearchIndex(Array.from(allDevelopers.values())))
+        };
+    }
+    return fallbackSearch.searcher.search(query, limit);
+}
+
+// Fly the map to a search result and open their profile
+async function flyToDeveloper(result) {
+    const loaded = allDevelopers.get(result.login);
+    const coordinates = loaded && loaded.coordinates
+        ? loaded.coordinates
+        : (result.lat === null ? null : { lat: result.lat, lng: result.lng });
+    
+    // With tiled data, the developer's tile may not be loaded yet
+    if (!markerByLogin.has(result.login) && coordinates && !compactLoaded) {
+        const point = L.latLng(coordinates.lat, coordinates.lng);
+        const tiles = getTilesInBounds(L.latLngBounds(point, point)).filter(tile => !loadedTiles.has(tile.file));
+        if (tiles.length > 0) {
+            await Promise.all(tiles.map(loadTile));
+            await updateMapMarkers();
+        }
+    }
+    
+    showView('map');
+    selectDeveloper(result.login);
+    if (!coordinates) return;
+    
+    map.once('moveend', showSelectedDeveloper);
+    map.flyTo([coordinates.lat, coordinates.lng], Math.max(map.getZoom(), SEARCH_CONFIG.flyToZoom));
+}
+
+// Show the best matches under the search box
+function renderSearchSuggestions(results, active) {
+    const list = document.getElementById('searchSuggestions');
+    if (!list) return;
+    
+    list.classList.toggle('hidden', results.length === 0);
+    list.innerHTML = results.map((result, i) => `
+        <li class="${i === active ? 'active' : ''}" data-index="${i}">
+            <img src="https://avatars.githubusercontent.com/${escapeHtml(result.login)}" alt="${escapeHtml(result.login)}">
+            <span class="suggestion-name">${escapeHtml(result.name || result.login)}</span>
+            <span class="stat-label">@${escapeHtml(result.login)}${result.location ? ` · ${escapeHtml(result.location)}` : ''}</span>
+        </li>
+    `).join('');
+}
+
+// Wire up the developer search box: suggestions as you type, arrow keys and Enter to pick one
+function setupDeveloperSearch() {
+    const input = document.getElementById('developerSearch');
+    const list = document.getElementById('searchSuggestions');
+    if (!input || !list) return;
+    
+    let results = [];
+    let active = -1;
+    
+    const close = () => {
+        results = [];
+        active = -1;
+        renderSearchSuggestions(results, active);
+    };
+    const pick = (result) => {
+        input.value = '';
+        close();
+        input.blur();
+        flyToDeveloper(result);
+    };
+    
+    input.addEventListener('focus', loadSearchIndex);
+    input.addEventListener('input', debounce(async () => {
+        await loadSearchIndex();
+        results = searchDevelopers(input.value, SEARCH_CONFIG.suggestions);
+        active = results.length > 0 ? 0 : -1;
+        renderSearchSuggestions(results, active);
+    }, SEARCH_CONFIG.debounceMs));
+    
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            if (results.length === 0) return;
+            e.preventDefault();
+            active = (active + (e.key === 'ArrowDown' ? 1 : -1) + results.length) % results.length;
+            renderSearchSuggestions(results, active);
+        } else if (e.key === 'Enter' && results[active]) {
+            e.preventDefault();
+            pick(results[active]);
+        } else if (e.key === 'Escape') {
+            close();
+        }
+    });
+    
+    // mousedown fires before the input loses focus
+    list.addEventListener('mousedown', (e) => {
+        const item = e.target.closest('li');
+        if (item) {
+            e.preventDefault();
+            pick(results[Number(item.dataset.index)]);
+        }
+    });
+    input.addEventListener('blur', close);
+}
+
+// Slider position (0..sliderSteps) to a count on a log scale; the ends mean "no limit"
+function sliderToBound(position, scale, isMax) {
+    const steps = FILTER_CONFIG.sliderSteps;
+    if (isMax ? position >= steps : position <= 0) return null;
+    
+    const value = Math.expm1(position / steps * Math.log1p(scale));
+    // Round to two significant digits so the labels read 1.2K rather than 1,187
+    const magnitude = 10 ** Math.max(0, Math.floor(Math.log10(value)) - 1);
+    return Math.round(value / magnitude) * magnitude;
+}
+
+// Slider position for a count; the inverse of sliderToBound
+function boundToSlider(bound, scale, isMax) {
+    const steps = FILTER_CONFIG.sliderSteps;
+    if (bound === null) return isMax ? steps : 0;
+    
+    const position = Math.round(Math.log1p(bound) / Math.log1p(scale) * steps);
+    return Math.min(steps, Math.max(0, position));
+}
+
+// Label for a [min, max] range
+function formatRange([min, max]) {
+    if (min === null && max === null) return 'any';
+    if (max === null) return `${formatNumber(min)}+`;
+    return `${formatNumber(min || 0)} – ${formatNumber(max)}`;
+}
+
+// Read the filter panel into `filters`
+function readFilterControls() {
+    const value = id => document.getElementById(id).value;
+    const range = (prefix, scale, current) => {
+        // Bounds from a shared link don't sit on a slider step; keep them until their handle moves
+        const bound = (suffix, i, isMax) => {
+            const position = Number(value(`${prefix}${suffix}`));
+            return position === boundToSlider(current[i], scale, isMax) ? current[i] : sliderToBound(position, scale, isMax);
+        };
+        const min = bound('Min', 0, false);
+        const max = bound('Max', 1, true);
+        // Dragging the handles past each other swaps them
+        return min !== null && max !== null && min > max ? [max, min] : [min, max];
+    };
+    
+    filters = {
+        languages: Array.from(document.getElementById('filterLanguages').selectedOptions).map(option => option.value),
+        followers: range('filterFollowers', FILTER_CONFIG.followersScale, filters.followers),
+        stars: range('filterStars', FILTER_CONFIG.starsScale, filters.stars),
+        company: value('filterCompany'),
+        country: value('filterCountry'),
+        createdAfter: value('filterCreatedAfter')
+    };
+    
+    document.getElementById('followersRangeLabel').textContent = formatRange(filters.followers);
+    document.getElementById('starsRangeLabel').textContent = formatRange(filters.stars);
+}
+
+// Re-apply the filters to both views
+const applyFilters = debounce(async () => {
+    console.log(`🎛️  Filters: ${JSON.stringify(filters)}`);
+    await updateMapMarkers();
+    if (currentView === 'list') {
+        renderDeveloperList();
+    }
+}, FILTER_CONFIG.debounceMs);
+
+// Country name for an ISO code, where the browser knows it
+function getCountryName(code) {
+    try {
+        return new Intl.DisplayNames(['en'], { type: 'region' }).of(code);
+    } catch (error) {
+        return code;
+    }
+}
+
+// Fill the language, company and country pickers from the loaded developers
+// Selected values stay selected even if no loaded developer has them any more.
+function updateFilterOptions() {
+    const languageSelect = document.getElementById('filterLanguages');
+    const companyList = document.getElementById('companyOptions');
+    const countrySelect = document.getElementById('filterCountry');
+    if (!languageSelect || !companyList || !countrySelect) return;
+    
+    const options = getFilterOptions(allDevelopers.values());
+    const limit = list => list.slice(0, FILTER_CONFIG.maxOptions);
+    const keepSelected = (list, selected) => {
+        const values = new Set(list.map(([value]) => value));
+        return list.concat(selected.filter(value => value && !values.has(value)).map(value => [value, 0]));
+    };
+    
+    const languages = keepSelected(limit(options.languages), filters.languages);
+    languageSelect.innerHTML = languages.map(([language, count]) => `
+        <option value="${escapeHtml(language)}" ${filters.languages.includes(language) ? 'selected' : ''}>${escapeHtml(language)} (${count})</option>
+    `).join('');
+    
+    companyList.innerHTML = limit(options.companies)
+        .map(([company]) => `<option value="${escapeHtml(company)}"></option>`)
+        .join('');
+    
+    const countries = keepSelected(limit(options.countries), [filters.country]);
+    countrySelect.innerHTML = '<option value="">Any country</option>' + countries
+        .map(([code, count]) => [code, `${getCountryName(code)} (${count})`])
+        .sort((a, b) => a[1].localeCompare(b[1]))
+        .map(([code, label]) => `<option value="${escapeHtml(code)}" ${filters.country === code ? 'selected' : ''}>${escapeHtml(label)}</option>`)
+        .join('');
+}
+
+// Set the filter panel from a filters object
+function setFilterControls(values) {
+    Array.from(document.getElementById('filterLanguages').options).forEach(option => {
+        option.selected = values.languages.includes(option.value);
+    });
+    document.getElementById('filterFollowersMin').value = boundToSlider(values.followers[0], FILTER_CONFIG.followersScale, false);
+    document.getElementById('filterFollowersMax').value = boundToSlider(values.followers[1], FILTER_CONFIG.followersScale, true);
+    document.getElementById('filterStarsMin').value = boundToSlider(values.stars[0], FILTER_CONFIG.starsScale, false);
+    document.getElementById('filterStarsMax').value = boundToSlider(values.stars[1], FILTER_CONFIG.starsScale, true);
+    document.getElementById('filterCompany').value = values.company;
+    document.getElementById('filterCountry').value = values.country;
+    document.getElementById('filterCreatedAfter').value = values.createdAfter;
+    
+    document.getElementById('followersRangeLabel').textContent = formatRange(values.followers);
+    document.getElementById('starsRangeLabel').textContent = formatRange(values.stars);
+}
+
+// Wire up the filter panel shared by the map and the list
+function setupFilterControls() {
+    const panel = document.getElementById('filterPanel');
+    const toggleBtn = document.getElementById('toggleFiltersBtn');
+    const resetBtn = document.getElementById('resetFiltersBtn');
+    if (!panel) return;
+    
+    if (toggleBtn) {
+        toggleBtn.addEventListener('click', () => panel.classList.toggle('hidden'));
+    }
+    
+    panel.querySelectorAll('input[type="range"]').forEach(slider => {
+        slider.max = FILTER_CONFIG.sliderSteps;
+    });
+    updateFilterOptions();
+    setFilterControls(filters);
+    
+    const onChange = () => {
+        readFilterControls();
+        applyFilters();
+        updateUrlState();
+    };
+    panel.addEventListener('input', onChange);
+    panel.addEventListener('change', onChange);
+    
+    if (resetBtn) {
+        resetBtn.addEventListener('click', () => {
+            setFilterControls(createFilters());
+            onChange();
+        });
+    }
+}
+
+// What an export holds: the list's rows in the list view, the filtered developers in view on the map
+function getExportDevelopers() {
+    if (currentView === 'list') {
+        return listResult.logins.map(login => allDevelopers.get(login)).filter(Boolean);
+    }
+    
+    const bounds = map.getBounds();
+    return Array.from(allDevelopers.values())
+        .filter(dev => markerByLogin.has(dev.login) && bounds.contains(markerByLogin.get(dev.login).getLatLng()))
+        .sort((a, b) => (b.followers || 0) - (a.followers || 0));
+}
+
+// Say what the export panel is about to export
+function updateExportSummary() {
+    const summary = document.getElementById('exportSummary');
+    const columns = document.getElementById('exportColumns');
+    const format = EXPORT_FORMATS[document.getElementById('exportFormat').value];
+    const count = getExportDevelopers().length.toLocaleString();
+    
+    summary.textContent = currentView === 'list'
+        ? `${count} developers in the list`
+        : `${count} developers in the map view`;
+    columns.disabled = !format.columns;
+}
+
+// Download the developers the export panel describes
+async function exportSelection() {
+    const format = document.getElementById('exportFormat').value;
+    const columns = Array.from(document.querySelectorAll('#exportColumns input:checked'), input => input.value);
+    const developers = getExportDevelopers();
+    if (developers.length === 0) {
+        showError('Nothing to export: no developers are listed or in view.');
+        return;
+    }
+    
+    showLoading(true, `Exporting ${developers.length} developers...`);
+    try {
+        // Compact summaries only have the map columns; exports get the full records
+        await Promise.all(developers.map(loadDeveloperDetail));
+        const { content, extension, mimeType } = exportDevelopers(developers, format, columns, index && index.schema_version);
+        
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([content], { type: mimeType }));
+        link.download = `github-developers-${new Date().toISOString().slice(0, 10)}.${extension}`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+        console.log(`⬇️  Exported ${developers.length} developers as ${format}`);
+    } catch (error) {
+        console.error('❌ Export failed:', error);
+        showError('Export failed. Please try again.');
+    } finally {
+        showLoading(false);
+    }
+}
+
+// Wire up the export panel
+function setupExportControls() {
+    const panel = document.getElementById('exportPanel');
+    const toggleBtn = document.getElementById('toggleExportBtn');
+    const formatSelect = document.getElementById('exportFormat');
+    const columns = document.getElementById('exportColumns');
+    const exportBtn = document.getElementById('exportBtn');
+    if (!panel) return;
+    
+    formatSelect.innerHTML = Object.entries(EXPORT_FORMATS)
+        .map(([format, { label }]) => `<option value="${format}">${label}</option>`)
+        .join('');
+    columns.innerHTML = '<legend>Columns (CSV and GeoJSON)</legend>' + Object.entries(EXPORT_COLUMNS)
+        .map(([column, { label }]) => `
+            <label><input type="checkbox" value="${column}" ${DEFAULT_EXPORT_COLUMNS.includes(column) ? 'checked' : ''}> ${label}</label>
+        `)
+        .join('');
+    
+    if (toggleBtn) {
+        toggleBtn.addEventListener('click', () => {
+            panel.classList.toggle('hidden');
+            if (!panel.classList.contains('hidden')) {
+                updateExportSummary();
+            }
+        });
+    }
+    formatSelect.addEventListener('change', updateExportSummary);
+    exportBtn.addEventListener('click', exportSelection);
+}
+
+// Write the current view to the URL hash so it can be shared
+// Panning and zooming replace the current history entry; other changes add one for back/forward.
+const updateUrlState = debounce(() => {
+    if (restoringUrlState || !map) return;
+    
+    const hash = encodeUrlState({
+        zoom: map.getZoom(),
+        center: map.getCenter(),
+        filters,
+        view: currentView,
+        sort: currentSort,
+        developer: selectedLogin,
+        near: radiusSearch
+    });
+    const current = location.hash.slice(1);
+    if (hash === current) return;
+    
+    if (differsBeyondViewport(hash, current)) {
+        history.pushState(null, '', `#${hash}`);
+    } else {
+        history.replaceState(null, '', `#${hash}`);
+    }
+}, URL_STATE_CONFIG.debounceMs);
+
+// Apply state read from the URL (see decodeUrlState), on load and on back/forward
+async function applyUrlState(state) {
+    restoringUrlState = true;
+    
+    try {
+        if (state.viewport) {
+            map.setView([state.viewport.lat, state.viewport.lng], state.viewport.zoom);
+        }
+        
+        const nextFilters = { ...createFilters(), ...state.filters };
+        if (JSON.stringify(nextFilters) !== JSON.stringify(filters)) {
+            filters = nextFilters;
+            await updateMapMarkers();
+        }
+        if (document.getElementById('filterPanel')) {
+            setFilterControls(filters);
+        }
+        
+        if (state.near) {
+            await setRadiusSearch(state.near, state.near.radiusKm, state.near.place);
+        } else if (radiusSearch) {
+            clearRadiusSearch();
+        }
+        
+        const sortSelect = document.getElementById('sortSelect');
+        const sorts = sortSelect ? Array.from(sortSelect.options).map(option => option.value) : [];
+        currentSort = sorts.includes(state.sort) && (state.sort !== 'distance' || radiusSearch) ? state.sort : 'total_stars';
+        if (sortSelect) {
+            sortSelect.value = currentSort;
+        }
+        
+        selectedLogin = state.developer;
+        showView(state.view || 'map');
+        showSelectedDeveloper();
+    } finally {
+        restoringUrlState = false;
+    }
+}
+
+// Bring the selected developer into view: the profile panel, plus their popup on the map or their row in the list
+function showSelectedDeveloper() {
+    showProfilePanel();
+    
+    if (currentView === 'list') {
+        const row = selectedLogin ? listResult.logins.indexOf(selectedLogin) : -1;
+        if (row >= 0) {
+            listCursor = row;
+            scrollToListRow(row, 'center');
+            renderVisibleRows();
+        } else {
+            // Not listed yet; the list may still be waiting on the worker
+            listScrollToSelected = Boolean(selectedLogin);
+        }
+        return;
+    }
+    if (currentView === 'dashboard') return;
+    
+    if (!selectedLogin) {
+        map.closePopup();
+        return;
+    }
+    
+    const marker = markerByLogin.get(selectedLogin);
+    if (!marker || !map.hasLayer(markerLayers.all)) {
+        console.log(`🔗 ${selectedLogin} has no marker on the map (not loaded, filtered out or markers hidden)`);
+        return;
+    }
+    // Zoom into the cluster the marker is in, then open it
+    markerLayers.all.zoomToShowLayer(marker, () => marker.openPopup());
+}
+
 // Initialize everything when page loads
 document.addEventListener('DOMContentLoaded', async () => {
     console.log('🌍 GitHub Developers World Map - Progressive Loading Edition');
@@ -939,6 +2498,13 @@ document.addEventListener('DOMContentLoaded', async () => {
         // Initialize map
         initMap();
         
+        // A shared link's viewport and filters decide what gets loaded and shown first
+        const urlState = decodeUrlState(location.hash);
+        if (urlState.viewport) {
+            map.setView([urlState.viewport.lat, urlState.viewport.lng], urlState.viewport.zoom);
+        }
+        filters = { ...createFilters(), ...urlState.filters };
+        
         // Load initial data
         await loadInitialData();
         
@@ -950,13 +2516,24 @@ document.addEventListener('DOMContentLoaded', async () => {
         
         // Setup list view controls
         setupListControls();
+        setupLayerControls();
+        setupTimelineControls();
+        setupFilterControls();
+        setupExportControls();
+        setupRadiusControls();
+        setupProfilePanel();
+        setupDeveloperSearch();
+        
+        // Restore the rest of the shared link, and follow back/forward from here on
+        await applyUrlState(urlState);
+        window.addEventListener('popstate', () => applyUrlState(decodeUrlState(location.hash)));
         
         // Add instructions
         const info = document.createElement('div');
         info.className = 'map-info';
         info.innerHTML = `
             <div class="info-item">💡 Zoom in to load more developers in specific regions</div>
-            <div class="info-item">🔍 Pan around to discover developers worldwide</div>
+            <div class="info-item">🔍 Pan around to load developers in each area you visit</div>
             <div class="info-item">📊 Data loads progressively as you explore</div>
         `;
         
@@ -966,7 +2543,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
         
         console.log('🎉 Application initialized successfully');
-        
+    
     } catch (error) {
         console.error('❌ Failed to initialize application:', error);
         showError('Failed to initialize the application. Please refresh the page.');
@@ -0,0 +1,171 @@
+// Country and state/province boundaries for placing developers in regions
+//
+// data/boundaries.geojson is a FeatureCollection whose features carry
+//   { level: 'country' | 'admin1', country_code: 'US', admin1: 'US-CA' | null, name: 'California' }
+// It's converted from Natural Earth's admin 0 (countries) and admin 1
+// (states/provinces) GeoJSON by convertBoundaries (`node cli.js boundaries`).
+
+// Ray casting test for one ring of [lng, lat] points
+function pointInRing(lng, lat, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > lat) !== (yj > lat) && lng < (xj - xi) * (lat - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+// A polygon is an outer ring followed by its holes
+function pointInPolygon(lng, lat, polygon) {
+    if (!pointInRing(lng, lat, polygon[0])) return false;
+    return !polygon.slice(1).some(hole => pointInRing(lng, lat, hole));
+}
+
+// Polygons of a Polygon or MultiPolygon geometry
+function getPolygons(geometry) {
+    if (!geometry) return [];
+    if (geometry.type === 'Polygon') return [geometry.coordinates];
+    if (geometry.type === 'MultiPolygon') return geometry.coordinates;
+    return [];
+}
+
+// Bounding box [west, south, east, north] of a list of polygons (outer rings only)
+function getBounds(polygons) {
+    const bounds = [Infinity, Infinity, -Infinity, -Infinity];
+    for (const polygon of polygons) {
+        for (const [lng, lat] of polygon[0]) {
+            bounds[0] = Math.min(bounds[0], lng);
+            bounds[1] = Math.min(bounds[1], lat);
+            bounds[2] = Math.max(bounds[2], lng);
+            bounds[3] = Math.max(bounds[3], lat);
+        }
+    }
+    return bounds;
+}
+
+// Index a boundaries FeatureCollection for point lookups
+function createRegionLookup(boundaries) {
+    const countries = [];
+    const admin1ByCountry = new Map();
+    
+    for (const feature of boundaries.features || []) {
+        const polygons = getPolygons(feature.geometry);
+        if (polygons.length === 0) continue;
+        
+        const entry = { properties: feature.properties, polygons, bounds: getBounds(polygons) };
+        if (feature.properties.level === 'admin1') {
+            const code = feature.properties.country_code;
+            if (!admin1ByCountry.has(code)) admin1ByCountry.set(code, []);
+            admin1ByCountry.get(code).push(entry);
+        } else {
+            countries.push(entry);
+        }
+    }
+    
+    function contains(entry, lng, lat) {
+        const [west, south, east, north] = entry.bounds;
+        if (lng < west || lng > east || lat < south || lat > north) return false;
+        return entry.polygons.some(polygon => pointInPolygon(lng, lat, polygon));
+    }
+    
+    return {
+        // Region containing a point as { country_code, admin1 }, or null outside every country
+        lookup(lat, lng) {
+            const country = countries.find(entry => contains(entry, lng, lat));
+            if (!country) return null;
+            
+            const code = country.properties.country_code;
+            const admin1 = (admin1ByCountry.get(code) || []).find(entry => contains(entry, lng, lat));
+            return { country_code: code, admin1: admin1 ? admin1.properties.admin1 : null };
+        },
+        
+        // Whether the boundaries split this country into states/provinces
+        hasAdmin1(countryCode) {
+            return admin1ByCountry.has(countryCode);
+        }
+    };
+}
+
+// Read a property regardless of case; Natural Earth releases use both ISO_A2 and iso_a2
+function getProperty(properties, name) {
+    const key = Object.keys(properties).find(candidate => candidate.toLowerCase() === name);
+    return key === undefined ? null : properties[key];
+}
+
+// First property that holds a valid code (Natural Earth uses -99 for "none")
+function getCode(properties, names, pattern) {
+    for (const name of names) {
+        const value = getProperty(properties, name);
+        if (typeof value === 'string' && pattern.test(value)) return value;
+    }
+    return null;
+}
+
+// Round coordinates and drop the points that collapse onto their neighbour
+function simplifyRing(ring, precision) {
+    const factor = 10 ** precision;
+    const points = [];
+    for (const [lng, lat] of ring) {
+        const point = [Math.round(lng * factor) / factor, Math.round(lat * factor) / factor];
+        const last = points[points.length - 1];
+        if (!last || last[0] !== point[0] || last[1] !== point[1]) points.push(point);
+    }
+    return points;
+}
+
+// Simplified polygons; rings too small to survive rounding are dropped
+function simplifyPolygons(polygons, precision) {
+    return polygons
+        .map(polygon => polygon.map(ring => simplifyRing(ring, precision)).filter(ring => ring.length >= 4))
+        .filter(polygon => polygon.length > 0);
+}
+
+// Convert Natural Earth admin 0 / admin 1 FeatureCollections into the boundaries format
+// options: precision (decimal places kept, default 2 = ~1 km), admin1Countries (codes to keep
+// states/provinces for; all by default)
+function convertBoundaries(collections, options = {}) {
+    const precision = options.precision ?? 2;
+    const admin1Countries = options.admin1Countries || null;
+    const features = [];
+    const skipped = [];
+    
+    for (const collection of collections) {
+        for (const feature of collection.features || []) {
+            const properties = feature.properties || {};
+            const name = getProperty(properties, 'name') || getProperty(properties, 'admin');
+            const admin1 = getCode(properties, ['iso_3166_2'], /^[A-Z]{2}-[A-Z0-9]{1,3}$/);
+            const countryCode = admin1
+                ? admin1.slice(0, 2)
+                : getCode(properties, ['iso_a2', 'iso_a2_eh', 'wb_a2'], /^[A-Z]{2}$/);
+            
+            if (!countryCode) {
+                skipped.push(name || '(unnamed)');
+                continue;
+            }
+            if (admin1 && admin1Countries && !admin1Countries.includes(countryCode)) continue;
+            
+            const polygons = simplifyPolygons(getPolygons(feature.geometry), precision);
+            if (polygons.length === 0) continue;
+            
+            features.push({
+                type: 'Feature',
+                properties: {
+                    level: admin1 ? 'admin1' : 'country',
+                    country_code: countryCode,
+                    admin1,
+                    name
+                },
+                geometry: polygons.length === 1
+                    ? { type: 'Polygon', coordinates: polygons[0] }
+                    : { type: 'MultiPolygon', coordinates: polygons }
+            });
+        }
+    }
+    
+    return { collection: { type: 'FeatureCollection', features }, skipped };
+}
+
+module.exports = { createRegionLookup, convertBoundaries, pointInPolygon };
@@ -0,0 +1,397 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const pipeline = require('./download-developers-v2');
+const { SCHEMA_VERSION, validateAgainstSchema, migrateBatch, migrateProgress } = require('./data-schema');
+const { topCounts, normalizeCompany } = require('./developer-stats');
+
+const { CONFIG } = pipeline;
+
+// Command-line interface for the data pipeline
+//
+//   node cli.js <command> [flags]
+//
+// Flags override CONFIG in download-developers-v2.js for this run only.
+
+// Flags that take a value, and how they're applied
+const FLAGS = {
+    'min-followers': {
+        description: 'Minimum followers for inclusion',
+        apply: value => { CONFIG.minFollowers = parseNumber('min-followers', value); }
+    },
+    'batch-size': {
+        description: 'Developers per batch file',
+        apply: value => { CONFIG.developersPerFile = parseNumber('batch-size', value, 1); }
+    },
+    'limit': {
+        description: 'Max developers to fetch or refresh per run',
+        apply: value => { CONFIG.maxDevelopersPerRun = parseNumber('limit', value, 1); }
+    },
+    'out': {
+        description: 'Data directory (default ./data)',
+        apply: value => { CONFIG.dataDir = value; }
+    },
+    'strategies': {
+        description: 'Strategy packs (JSON/YAML) to search, comma-separated',
+        apply: value => { CONFIG.strategyFiles = parseList(value); }
+    },
+    'queries': {
+        description: 'Strategy types to search, e.g. followers,location',
+        apply: value => { CONFIG.querySets = parseQuerySets(value); }
+    },
+    'providers': {
+        description: 'Geocoding providers, e.g. gazetteer,nominatim',
+        apply: value => { CONFIG.geocodingProviders = parseList(value); }
+    },
+    'days': {
+        description: 'refresh: re-fetch developers older than this many days',
+        apply: value => { CONFIG.refreshAfterDays = parseNumber('days', value); }
+    },
+    'compress': {
+        description: 'Precompress the compact map file, e.g. gzip,brotli',
+        apply: value => { CONFIG.compactCompression = parseList(value); }
+    },
+    'vector-tiles': {
+        description: 'index: also write a vector tile pyramid down to this zoom, e.g. 6',
+        apply: value => { CONFIG.vectorTilesMaxZoom = parseNumber('vector-tiles', value); }
+    },
+    'from': {
+        description: 'rebatch: read developers from this file instead of the batches; boundaries: Natural Earth GeoJSON files'
+    }
+};
+
+// Flags without a value
+const SWITCHES = {
+    'force': 'geocode: redo developers that already have coordinates',
+    'help': 'Show this help'
+};
+
+const COMMANDS = {
+    fetch: {
+        description: 'Search GitHub for new developers',
+        run: () => pipeline.downloadDevelopers()
+    },
+    refresh: {
+        description: 'Re-fetch developers whose data is older than --days',
+        run: () => pipeline.refreshDevelopers(CONFIG.refreshAfterDays, CONFIG.maxDevelopersPerRun)
+    },
+    geocode: {
+        description: 'Geocode developers that have no coordinates yet',
+        run: options => pipeline.geocodeDevelopers(options.force)
+    },
+    regions: {
+        description: 'Assign developers to countries and states/provinces',
+        run: () => pipeline.assignRegions()
+    },
+    boundaries: {
+        description: 'Build data/boundaries.geojson from Natural Earth files given with --from',
+        run: options => pipeline.buildBoundaries(options.from ? parseList(options.from) : [])
+    },
+    rebatch: {
+        description: 'Rewrite all developers into batches of --batch-size',
+        run: options => pipeline.rebatchDevelopers(CONFIG.developersPerFile, options.from)
+    },
+    dedupe: {
+        description: 'Merge developers saved into more than one batch',
+        run: () => pipeline.dedupeDevelopers()
+    },
+    index: {
+        description: 'Regenerate index.json, the geo-tiles, the compact map file, the GeoJSON/KML exports and today\'s snapshot',
+        run: () => pipeline.createIndex()
+    },
+    validate: {
+        description: 'Check the data files against the JSON Schemas in schemas/',
+        run: () => validateData()
+    },
+    migrate: {
+        description: 'Upgrade data files to the current schema version',
+        run: () => pipeline.migrateDataFiles()
+    },
+    stats: {
+        description: 'Print a summary of the downloaded data',
+        run: () => printStats()
+    }
+};
+
+// Parse a numeric flag value, at least `min`
+function parseNumber(flag, value, min = 0) {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min) {
+        throw new Error(min > 0
+            ? `--${flag} expects a whole number of at least ${min}, got "${value}"`
+            : `--${flag} expects a whole number, got "${value}"`);
+    }
+    return number;
+}
+
+// Parse a comma-separated flag value
+function parseList(value) {
+    return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// Parse --queries, checking the names against the loaded strategy packs
+function parseQuerySets(value) {
+    const known = [...new Set(pipeline.getSearchStrategies().map(strategy => strategy.type))];
+    const sets = parseList(value);
+    const unknown = sets.filter(set => !known.includes(set));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown query set ${unknown.join(', ')} (available: ${known.join(', ')})`);
+    }
+    return sets;
+}
+
+// Split argv into a command and flag values
+function parseArgs(argv) {
+    const options = { command: null };
+    
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        
+        if (!arg.startsWith('--')) {
+            if (options.command) {
+                throw new Error(`Unexpected argument: ${arg}`);
+            }
+            options.command = arg;
+            continue;
+        }
+        
+        // --flag=value or --flag value
+        const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+        if (SWITCHES[name]) {
+            options[name] = true;
+        } else if (FLAGS[name]) {
+            const value = inlineValue !== undefined ? inlineValue : argv[++i];
+            if (value === undefined || value.startsWith('--')) {
+                throw new Error(`--${name} expects a value`);
+            }
+            options[name] = value;
+        } else {
+            throw new Error(`Unknown flag: --${name}`);
+        }
+    }
+    
+    return options;
+}
+
+// Print usage
+function printHelp() {
+    const pad = (text, width) => text + ' '.repeat(Math.max(width - text.length, 1));
+    
+    console.log('Usage: node cli.js <command> [flags]\n');
+    console.log('Commands:');
+    Object.entries(COMMANDS).forEach(([name, command]) => {
+        console.log(`  ${pad(name, 18)}${command.description}`);
+    });
+    console.log('\nFlags:');
+    Object.entries(FLAGS).forEach(([name, flag]) => {
+        console.log(`  ${pad(`--${name} <value>`, 26)}${flag.description}`);
+    });
+    Object.entries(SWITCHES).forEach(([name, description]) => {
+        console.log(`  ${pad(`--${name}`, 26)}${description}`);
+    });
+    console.log('\nExamples:');
+    console.log('  node cli.js fetch --queries followers,location --limit 200');
+    console.log('  node cli.js fetch --strategies strategies/nordics.yaml');
+    console.log('  node cli.js refresh --days 14');
+    console.log('  node cli.js rebatch --batch-size 20 --from developers-data.json');
+    console.log('  node cli.js boundaries --from ne_110m_admin_0_countries.geojson,ne_50m_admin_1_states_provinces.geojson');
+}
+
+// Validate a data file's contents against its schema, adding problems prefixed with the file name
+// Files from an older schema version are checked as `migrate` would rewrite them.
+function validateFile(file, data, schemaName, migrate, problems) {
+    const version = data.schema_version || 1;
+    if (version < SCHEMA_VERSION) {
+        problems.push(`${file}: schema version ${version} is outdated (run migrate)`);
+        data = migrate(data);
+    }
+    
+    validateAgainstSchema(data, schemaName).forEach(error => {
+        problems.push(`${file}: ${error.path}: ${error.message}`);
+    });
+    return data;
+}
+
+// Check the data files against schemas/ and each other; exits with code 1 if anything is wrong
+function validateData() {
+    const problems = [];
+    const seenLogins = new Map();
+    const batches = pipeline.loadAllBatches(false);
+    let totalDevelopers = 0;
+    
+    for (const { file, data: raw } of batches) {
+        const data = validateFile(file, raw, 'batch.schema.json', migrateBatch, problems);
+        if (!Array.isArray(data.developers)) continue;
+        
+        const expectedBatch = parseInt(file.match(/\d+/)[0], 10);
+        if (data.batch !== expectedBatch) {
+            problems.push(`${file}: batch number is ${data.batch}, expected ${expectedBatch}`);
+        }
+        if (data.total_in_batch !== data.developers.length) {
+            problems.push(`${file}: total_in_batch is ${data.total_in_batch} but it has ${data.developers.length} developers`);
+        }
+        totalDevelopers += data.developers.length;
+        
+        data.developers.forEach((developer, position) => {
+            if (typeof developer.login !== 'string') return;
+            
+            const key = developer.login.toLowerCase();
+            if (seenLogins.has(key)) {
+                problems.push(`${file}: developers[${position}]: ${developer.login} is also in ${seenLogins.get(key)} (run dedupe)`);
+            } else {
+                seenLogins.set(key, file);
+            }
+        });
+    }
+    
+    const indexFile = path.join(CONFIG.dataDir, 'index.json');
+    if (!fs.existsSync(indexFile)) {
+        problems.push('index.json is missing (run index)');
+    } else {
+        const index = validateFile('index.json', JSON.parse(fs.readFileSync(indexFile, 'utf8')), 'index.schema.json',
+            raw => ({ ...raw, schema_version: SCHEMA_VERSION }), problems);
+        if (index.total_developers !== totalDevelopers) {
+            problems.push(`index.json: total_developers is ${index.total_developers}, batches have ${totalDevelopers} (run index)`);
+        }
+        const indexedFiles = new Set((index.batches || []).map(batch => batch.file));
+        batches.forEach(({ file }) => {
+            if (!indexedFiles.has(file)) problems.push(`index.json: ${file} is not listed (run index)`);
+        });
+        indexedFiles.forEach(file => {
+            if (!batches.some(batch => batch.file === file)) problems.push(`index.json: lists missing file ${file}`);
+        });
+        if (index.compact && !fs.existsSync(path.join(CONFIG.dataDir, index.compact.file))) {
+            problems.push(`index.json: lists missing compact file ${index.compact.file} (run index)`);
+        }
+        if (index.stats && !fs.existsSync(path.join(CONFIG.dataDir, index.stats.file))) {
+            problems.push(`index.json: lists missing dashboard statistics ${index.stats.file} (run index)`);
+        }
+        if (index.search && !fs.existsSync(path.join(CONFIG.dataDir, index.search.file))) {
+            problems.push(`index.json: lists missing search index ${index.search.file} (run index)`);
+        }
+        if (index.exports) {
+            [index.exports.geojson, index.exports.kml].forEach(file => {
+                if (!fs.existsSync(path.join(CONFIG.dataDir, file))) problems.push(`index.json: lists missing export ${file} (run index)`);
+            });
+            const vectorTiles = index.exports.vector_tiles;
+            if (vectorTiles && vectorTiles.count > 0 && !fs.existsSync(path.join(CONFIG.dataDir, vectorTiles.dir))) {
+                problems.push(`index.json: lists missing vector tiles in ${vectorTiles.dir} (run index)`);
+            }
+        }
+        if (index.snapshots) {
+            index.snapshots.files.forEach(({ file }) => {
+                if (!fs.existsSync(path.join(CONFIG.dataDir, file))) problems.push(`index.json: lists missing snapshot ${file} (run index)`);
+            });
+        }
+        if (index.history && !fs.existsSync(path.join(CONFIG.dataDir, index.history.file))) {
+            problems.push(`index.json: lists missing history ${index.history.file} (run index)`);
+        }
+    }
+    
+    const progressFile = path.join(CONFIG.dataDir, 'progress.json');
+    if (fs.existsSync(progressFile)) {
+        validateFile('progress.json', JSON.parse(fs.readFileSync(progressFile, 'utf8')), 'progress.schema.json', migrateProgress, problems);
+    }
+    
+    const detailsDir = path.join(CONFIG.dataDir, CONFIG.detailsDir);
+    if (fs.existsSync(detailsDir)) {
+        fs.readdirSync(detailsDir).filter(file => file.endsWith('.json')).forEach(file => {
+            const detail = validateFile(`${CONFIG.detailsDir}/${file}`, JSON.parse(fs.readFileSync(path.join(detailsDir, file), 'utf8')),
+                'developer-detail.schema.json', raw => ({ ...raw, schema_version: SCHEMA_VERSION }), problems);
+            if (typeof detail.login === 'string' && `${detail.login.toLowerCase()}.json` !== file) {
+                problems.push(`${CONFIG.detailsDir}/${file}: holds ${detail.login}`);
+            }
+        });
+    }
+    
+    if (problems.length === 0) {
+        console.log(`✅ ${batches.length} batches with ${totalDevelopers} developers match schema version ${SCHEMA_VERSION}`);
+        return;
+    }
+    
+    console.log(`❌ Found ${problems.length} problems:`);
+    problems.slice(0, 50).forEach(problem => console.log(`  - ${problem}`));
+    if (problems.length > 50) {
+        console.log(`  ... and ${problems.length - 50} more`);
+    }
+    process.exitCode = 1;
+}
+
+// Print a summary of the downloaded data
+function printStats() {
+    const batches = pipeline.loadAllBatches();
+    const developers = batches.flatMap(({ data }) => data.developers);
+    const withLocation = developers.filter(dev => dev.location);
+    const withCoordinates = developers.filter(dev => dev.coordinates);
+    const percent = count => developers.length ? `${Math.round(count / developers.length * 100)}%` : '0%';
+    
+    console.log(`📊 ${developers.length} developers in ${batches.length} batches (${CONFIG.dataDir})`);
+    console.log(`📍 ${withLocation.length} with a location (${percent(withLocation.length)}), ${withCoordinates.length} geocoded (${percent(withCoordinates.length)})`);
+    
+    const precisions = topCounts(withCoordinates.map(dev => dev.coordinates.precision || 'unknown'));
+    console.log(`🎯 Precision: ${precisions.map(([precision, count]) => `${precision} ${count}`).join(', ')}`);
+    
+    const downloadDates = developers.map(dev => dev.downloaded_at).filter(Boolean).sort();
+    if (downloadDates.length > 0) {
+        const cutoff = new Date(Date.now() - CONFIG.refreshAfterDays * 24 * 60 * 60 * 1000).toISOString();
+        const stale = developers.filter(dev => !dev.downloaded_at || dev.downloaded_at < cutoff).length;
+        console.log(`🕒 Downloaded ${downloadDates[0].slice(0, 10)} to ${downloadDates[downloadDates.length - 1].slice(0, 10)}, ${stale} older than ${CONFIG.refreshAfterDays} days`);
+    }
+    
+    const sections = [
+        ['Top locations', withLocation.map(dev => dev.location_normalized || dev.location)],
+        ['Top countries', developers.map(dev => dev.country_code).filter(Boolean)],
+        ['Top languages', developers.flatMap(dev => dev.top_languages || [])],
+        ['Top companies', developers.map(dev => normalizeCompany(dev.company)).filter(Boolean)]
+    ];
+    for (const [title, values] of sections) {
+        console.log(`\n${title}:`);
+        topCounts(values).forEach(([value, count]) => console.log(`  ${value}: ${count}`));
+    }
+}
+
+// Run a command
+async function main(argv) {
+    let options;
+    try {
+        options = parseArgs(argv);
+        Object.keys(FLAGS).forEach(name => {
+            if (options[name] !== undefined && FLAGS[name].apply) {
+                FLAGS[name].apply(options[name]);
+            }
+        });
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        console.error('Run "node cli.js --help" for usage');
+        process.exitCode = 1;
+        return;
+    }
+    
+    if (options.help || !options.command) {
+        printHelp();
+        return;
+    }
+    
+    const command = COMMANDS[options.command];
+    if (!command) {
+        console.error(`Error: Unknown command "${options.command}"`);
+        console.error('Run "node cli.js --help" for usage');
+        process.exitCode = 1;
+        return;
+    }
+    
+    if (!fs.existsSync(CONFIG.dataDir)) {
+        fs.mkdirSync(CONFIG.dataDir, { recursive: true });
+    }
+    
+    await command.run(options);
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).catch(error => {
+        console.error(error);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { main, parseArgs };
@@ -0,0 +1,145 @@
+// Dashboard view: charts over the pipeline's data/stats.json (see buildDashboardStats in developer-stats.js)
+//
+// Charts are plain HTML bars sized in percent, so there is no chart library to load.
+// Labels come from developers' profiles and go through escapeHtml (app.js).
+
+const DASHBOARD_CONFIG = {
+    // Colours of the most common languages in the language share chart; the rest are grey
+    languageColors: ['#58a6ff', '#f78166', '#3fb950', '#d2a8ff', '#e3b341', '#79c0ff', '#ff7b72', '#56d364'],
+    otherColor: '#484f58',
+    topCompanies: 10                // Companies counted for the concentration figure
+};
+
+const compactNumber = new Intl.NumberFormat('en', { notation: 'compact', maximumFractionDigits: 1 });
+
+// Percentage label: "12%", "0.4%"
+function formatShare(part, whole) {
+    if (!whole) return '0%';
+    const share = part / whole * 100;
+    return `${share < 1 ? share.toFixed(1) : Math.round(share)}%`;
+}
+
+// Horizontal bars for [label, count] rows, longest first
+function createBarList(rows) {
+    if (rows.length === 0) return '<p class="stat-label">No data yet</p>';
+    
+    const max = Math.max(...rows.map(([, count]) => count));
+    return `
+        <ul class="dashboard-bars">
+            ${rows.map(([label, count]) => `
+                <li>
+                    <span class="dashboard-bar-label" title="${escapeHtml(label)}">${escapeHtml(label)}</span>
+                    <span class="dashboard-bar"><span style="width: ${count / max * 100}%"></span></span>
+                    <span class="dashboard-bar-value">${count.toLocaleString()}</span>
+                </li>
+            `).join('')}
+        </ul>
+    `;
+}
+
+// Vertical columns for [label, count] rows, in the given order
+function createColumnChart(rows) {
+    if (rows.length === 0) return '<p class="stat-label">No data yet</p>';
+    
+    const max = Math.max(1, ...rows.map(([, count]) => count));
+    return `
+        <div class="dashboard-columns">
+            ${rows.map(([label, count]) => `
+                <div class="dashboard-column" title="${escapeHtml(label)}: ${count.toLocaleString()}">
+                    <span class="dashboard-column-value">${count > 0 ? compactNumber.format(count) : ''}</span>
+                    <span class="dashboard-column-bar" style="height: ${count / max * 100}%"></span>
+                    <span class="dashboard-column-label">${escapeHtml(label)}</span>
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
+
+// A stacked bar per region splitting its developers' languages, with a legend
+// Languages are coloured by their rank overall, so a language has the same colour in every row.
+function createLanguageShares(languages, countryName) {
+    if (languages.with_languages === 0) return '<p class="stat-label">No language data yet (run refresh)</p>';
+    
+    const colors = new Map(languages.overall
+        .slice(0, DASHBOARD_CONFIG.languageColors.length)
+        .map(([language], i) => [language.toLowerCase(), DASHBOARD_CONFIG.languageColors[i]]));
+    const colorOf = language => colors.get(language.toLowerCase()) || DASHBOARD_CONFIG.otherColor;
+    
+    const rows = languages.regions
+        .filter(region => region.with_languages > 0)
+        .map(region => {
+            const total = region.languages.reduce((sum, [, count]) => sum + count, 0);
+            return `
+                <li>
+                    <span class="dashboard-bar-label">${escapeHtml(countryName(region.country_code))}</span>
+                    <span class="dashboard-stack">
+                        ${region.languages.map(([language, count]) => `
+                            <span style="width: ${count / total * 100}%; background: ${colorOf(language)}"
+                                title="${escapeHtml(language)}: ${count} of ${region.with_languages} developers (${formatShare(count, region.with_languages)})"></span>
+                        `).join('')}
+                    </span>
+                    <span class="dashboard-bar-value" title="Developers with language data">${region.with_languages.toLocaleString()}</span>
+                </li>
+            `;
+        });
+    
+    return `
+        <ul class="dashboard-bars">${rows.join('')}</ul>
+        <div class="dashboard-legend">
+            ${[...colors].map(([, color], i) => `<span><i style="background: ${color}"></i>${escapeHtml(languages.overall[i][0])}</span>`).join('')}
+            <span><i style="background: ${DASHBOARD_CONFIG.otherColor}"></i>Other</span>
+        </div>
+    `;
+}
+
+// "1K–2K" for a follower bucket
+function formatBucket({ min, max }) {
+    return max === null ? `${compactNumber.format(min)}+` : `${compactNumber.format(min)}–${compactNumber.format(max)}`;
+}
+
+// The whole dashboard for a stats.json
+// options.countryName turns an ISO country code into a name.
+function createDashboardContent(stats, { countryName = code => code } = {}) {
+    const { totals, companies, followers } = stats;
+    const topCompanyCount = companies.top
+        .slice(0, DASHBOARD_CONFIG.topCompanies)
+        .reduce((sum, [, count]) => sum + count, 0);
+    // The histogram starts at the first bucket with developers in it
+    const firstBucket = Math.max(0, followers.buckets.findIndex(bucket => bucket.count > 0));
+    
+    const card = (value, label) => `
+        <div class="dashboard-card"><span class="stat-value">${value}</span><span class="stat-label">${label}</span></div>
+    `;
+    const section = (title, content, note = '') => `
+        <section class="dashboard-section">
+            <h3>${title}</h3>
+            ${note ? `<p class="stat-label">${note}</p>` : ''}
+            ${content}
+        </section>
+    `;
+    
+    return `
+        <div class="dashboard-cards">
+            ${card(totals.developers.toLocaleString(), 'developers')}
+            ${card(totals.located.toLocaleString(), 'on the map')}
+            ${card(totals.countries.toLocaleString(), 'countries')}
+            ${card(compactNumber.format(totals.followers), 'followers')}
+            ${card(compactNumber.format(totals.stars), 'stars')}
+        </div>
+        
+        <div class="dashboard-grid">
+            ${section('🏙️ Top cities', createBarList(stats.top_cities))}
+            ${section('🌍 Top countries', createBarList(stats.top_countries.map(([code, count]) => [countryName(code), count])))}
+            ${section('💻 Language share by country', createLanguageShares(stats.languages, countryName),
+                `Top languages of developers in the ${stats.languages.regions.length} countries with the most developers`)}
+            ${section('🏢 Companies', createBarList(companies.top),
+                `${formatShare(companies.with_company, totals.developers)} of developers name a company; ` +
+                `the top ${DASHBOARD_CONFIG.topCompanies} account for ${formatShare(topCompanyCount, companies.with_company)} of them`)}
+            ${section('👥 Followers', createColumnChart(followers.buckets.slice(firstBucket).map(bucket => [formatBucket(bucket), bucket.count])),
+                followers.median === null ? '' : `Median ${followers.median.toLocaleString()}, 90th percentile ${followers.p90.toLocaleString()}`)}
+            ${section('📅 Accounts created per year', createColumnChart(stats.created_years.map(([year, count]) => [String(year), count])))}
+        </div>
+        
+        <p class="stat-label">Generated ${new Date(stats.generated_at).toLocaleString()}</p>
+    `;
+}
@@ -0,0 +1,220 @@
+const fs = require('fs');
+const path = require('path');
+const { extractSocialLinks } = require('./social-links');
+
+// Versioned schema for the data files, validation and migrations
+//
+// The JSON Schemas live in schemas/. Batch files, index.json and progress.json
+// carry a `schema_version`; files written before versioning count as version 1.
+// The validator covers the JSON Schema keywords those files use.
+
+const SCHEMA_VERSION = 3;
+const SCHEMAS_DIR = path.join(__dirname, 'schemas');
+
+const schemaCache = new Map();
+
+// Load a schema from schemas/ by file name
+function loadSchema(name) {
+    if (!schemaCache.has(name)) {
+        schemaCache.set(name, JSON.parse(fs.readFileSync(path.join(SCHEMAS_DIR, name), 'utf8')));
+    }
+    return schemaCache.get(name);
+}
+
+// JSON type name of a value, with integers told apart from other numbers
+function jsonType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+// Check a value's type against a schema `type` (string or list)
+function matchesType(value, type) {
+    const actual = jsonType(value);
+    return [].concat(type).some(expected => expected === actual || (expected === 'number' && actual === 'integer'));
+}
+
+// Resolve "#/$defs/name" within the current schema or "other.schema.json" in schemas/
+function resolveRef(ref, root) {
+    const [file, pointer] = ref.split('#');
+    const target = file ? loadSchema(file) : root;
+    const schema = (pointer || '').split('/').filter(Boolean).reduce((node, key) => node[key], target);
+    return { schema, root: target };
+}
+
+const FORMATS = {
+    'date-time': value => !isNaN(Date.parse(value)) && /^\d{4}-\d{2}-\d{2}T/.test(value),
+    'uri': value => /^[a-z][a-z0-9+.-]*:\/\//i.test(value)
+};
+
+// Validate a value, pushing { path, message } for every violation
+function validateNode(value, schema, root, location, errors) {
+    if (schema.$ref) {
+        const resolved = resolveRef(schema.$ref, root);
+        validateNode(value, resolved.schema, resolved.root, location, errors);
+        return;
+    }
+    
+    const fail = message => errors.push({ path: location || '(root)', message });
+    
+    if (schema.anyOf) {
+        const matches = schema.anyOf.some(option => {
+            const optionErrors = [];
+            validateNode(value, option, root, location, optionErrors);
+            return optionErrors.length === 0;
+        });
+        if (!matches) {
+            // Report the errors of the option matching the value's type, they're the useful ones
+            const option = schema.anyOf.find(candidate => {
+                const target = candidate.$ref ? resolveRef(candidate.$ref, root).schema : candidate;
+                return !target.type || matchesType(value, target.type);
+            });
+            if (option) {
+                validateNode(value, option, root, location, errors);
+            } else {
+                fail(`must be one of the allowed types, got ${jsonType(value)}`);
+            }
+        }
+    }
+    
+    if (schema.type && !matchesType(value, schema.type)) {
+        fail(`must be ${[].concat(schema.type).join(' or ')}, got ${jsonType(value)}`);
+        return;
+    }
+    if ('const' in schema && value !== schema.const) {
+        fail(`must be ${JSON.stringify(schema.const)}, got ${JSON.stringify(value)}`);
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        fail(`must be one of ${schema.enum.map(item => JSON.stringify(item)).join(', ')}, got ${JSON.stringify(value)}`);
+    }
+    
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) fail(`must be >= ${schema.minimum}, got ${value}`);
+        if (schema.maximum !== undefined && value > schema.maximum) fail(`must be <= ${schema.maximum}, got ${value}`);
+    }
+    
+    if (typeof value === 'string') {
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) fail(`must match ${schema.pattern}, got "${value}"`);
+        if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) fail(`must be a ${schema.format}, got "${value}"`);
+    }
+    
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) fail(`must have at least ${schema.minItems} items`);
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`must have at most ${schema.maxItems} items`);
+        if (schema.items) {
+            value.forEach((item, i) => validateNode(item, schema.items, root, `${location}[${i}]`, errors));
+        }
+    }
+    
+    if (jsonType(value) === 'object') {
+        const properties = schema.properties || {};
+        const childPath = key => location ? `${location}.${key}` : key;
+        
+        (schema.required || []).forEach(key => {
+            if (!(key in value)) fail(`missing required field "${key}"`);
+        });
+        
+        for (const [key, child] of Object.entries(value)) {
+            if (properties[key]) {
+                validateNode(child, properties[key], root, childPath(key), errors);
+            } else if (schema.additionalProperties === false) {
+                fail(`unexpected field "${key}"`);
+            } else if (typeof schema.additionalProperties === 'object') {
+                validateNode(child, schema.additionalProperties, root, childPath(key), errors);
+            }
+        }
+    }
+}
+
+// Validate a value against a schema in schemas/, returning a list of { path, message }
+function validateAgainstSchema(value, schemaName) {
+    const schema = loadSchema(schemaName);
+    const errors = [];
+    validateNode(value, schema, schema, '', errors);
+    return errors;
+}
+
+// Fields a version 2 developer record has; records from older downloads get null for unknown values
+const DEVELOPER_DEFAULTS = {
+    name: null,
+    location: null,
+    location_normalized: null,
+    coordinates: null,
+    company: null,
+    bio: null,
+    blog: null,
+    following: null,
+    public_gists: null,
+    updated_at: null,
+    downloaded_at: null,
+    total_stars: null,
+    total_forks: null,
+    top_languages: null,
+    public_repos_count: null
+};
+
+// Version 1 -> 2: fill missing fields, derive social links from blog/bio
+function migrateDeveloperToV2(developer) {
+    const migrated = { ...developer };
+    
+    for (const [field, value] of Object.entries(DEVELOPER_DEFAULTS)) {
+        if (migrated[field] === undefined) migrated[field] = value;
+    }
+    if (migrated.social === undefined) {
+        migrated.social = extractSocialLinks(migrated);
+    }
+    
+    return migrated;
+}
+
+// Version 2 -> 3: country and state/province start out unknown (filled in by `node cli.js regions`)
+function migrateDeveloperToV3(developer) {
+    const migrated = { ...developer };
+    if (migrated.country_code === undefined) migrated.country_code = null;
+    if (migrated.admin1 === undefined) migrated.admin1 = null;
+    return migrated;
+}
+
+// Upgrade a batch file's contents to the current schema version
+// Returns the same object if it's already current.
+function migrateBatch(batch) {
+    const version = batch.schema_version || 1;
+    if (version >= SCHEMA_VERSION) return batch;
+    
+    let developers = batch.developers || [];
+    if (version < 2) {
+        developers = developers.map(migrateDeveloperToV2);
+    }
+    if (version < 3) {
+        developers = developers.map(migrateDeveloperToV3);
+    }
+    
+    return {
+        schema_version: SCHEMA_VERSION,
+        batch: batch.batch,
+        generated_at: batch.generated_at,
+        developers,
+        total_in_batch: developers.length
+    };
+}
+
+// Upgrade progress.json contents to the current schema version
+function migrateProgress(progress) {
+    const version = progress.schema_version || 1;
+    if (version >= SCHEMA_VERSION) return progress;
+    
+    const { schema_version, ...rest } = progress;
+    return {
+        schema_version: SCHEMA_VERSION,
+        ...rest,
+        splitQueries: progress.splitQueries || {}
+    };
+}
+
+module.exports = {
+    SCHEMA_VERSION,
+    validateAgainstSchema,
+    migrateBatch,
+    migrateProgress
+};
@@ -0,0 +1,173 @@
+// Export a list of developer records as CSV, JSON (batch file format), GeoJSON or vCard
+//
+// Used by the export panel in app.js; the records are the ones the list view
+// or the map view is showing, with their full profiles loaded.
+
+// Columns a CSV export can have, in the order they're offered
+const EXPORT_COLUMNS = {
+    login: { label: 'Login', value: dev => dev.login },
+    name: { label: 'Name', value: dev => dev.name },
+    html_url: { label: 'GitHub URL', value: dev => dev.html_url },
+    location: { label: 'Location', value: dev => dev.location },
+    location_normalized: { label: 'Normalized location', value: dev => dev.location_normalized },
+    country_code: { label: 'Country', value: dev => dev.country_code },
+    lat: { label: 'Latitude', value: dev => dev.coordinates ? dev.coordinates.lat : null },
+    lng: { label: 'Longitude', value: dev => dev.coordinates ? dev.coordinates.lng : null },
+    company: { label: 'Company', value: dev => dev.company },
+    bio: { label: 'Bio', value: dev => dev.bio },
+    followers: { label: 'Followers', value: dev => dev.followers },
+    total_stars: { label: 'Total stars', value: dev => dev.total_stars },
+    total_forks: { label: 'Total forks', value: dev => dev.total_forks },
+    public_repos: { label: 'Repositories', value: dev => dev.public_repos },
+    top_languages: { label: 'Languages', value: dev => (dev.top_languages || []).join('; ') },
+    blog: { label: 'Website', value: dev => dev.blog },
+    twitter: { label: 'Twitter', value: dev => dev.social && dev.social.twitter },
+    linkedin: { label: 'LinkedIn', value: dev => dev.social && dev.social.linkedin },
+    created_at: { label: 'Created', value: dev => dev.created_at }
+};
+
+// Columns ticked until the user picks others
+const DEFAULT_EXPORT_COLUMNS = ['login', 'name', 'location', 'company', 'followers', 'total_stars', 'top_languages', 'html_url'];
+
+// Fields of a batch file record (see schemas/developer.schema.json), in the order the downloader writes them
+const BATCH_RECORD_FIELDS = [
+    'login', 'name', 'avatar_url', 'html_url', 'location', 'location_normalized', 'coordinates',
+    'country_code', 'admin1', 'company', 'bio', 'blog', 'followers', 'following', 'public_repos',
+    'public_gists', 'created_at', 'updated_at', 'downloaded_at', 'social',
+    'total_stars', 'total_forks', 'top_languages', 'public_repos_count'
+];
+
+// CSV cell; quoted when needed, and text a spreadsheet would run as a formula gets a leading "'"
+function toCsvCell(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// CSV with a header row of column labels
+function toCsv(developers, columns = DEFAULT_EXPORT_COLUMNS) {
+    const known = columns.filter(column => EXPORT_COLUMNS[column]);
+    const rows = [known.map(column => toCsvCell(EXPORT_COLUMNS[column].label))];
+    developers.forEach(dev => {
+        rows.push(known.map(column => toCsvCell(EXPORT_COLUMNS[column].value(dev))));
+    });
+    return rows.map(row => row.join(',')).join('\r\n') + '\r\n';
+}
+
+// A batch file (data/developers-batch-N.json) holding the developers; fields not loaded are null
+// `schemaVersion` is SCHEMA_VERSION from data-schema.js, which the page reads from index.json.
+function toBatchJson(developers, schemaVersion) {
+    if (!Number.isInteger(schemaVersion)) {
+        throw new Error('A JSON export needs the schema version of the batch files');
+    }
+    
+    const records = developers.map(dev => Object.fromEntries(BATCH_RECORD_FIELDS.map(field => {
+        if (field === 'social') return [field, dev.social || {}];
+        return [field, dev[field] ?? null];
+    })));
+    
+    return JSON.stringify({
+        schema_version: schemaVersion,
+        batch: 0,
+        generated_at: new Date().toISOString(),
+        developers: records,
+        total_in_batch: records.length
+    }, null, 2);
+}
+
+// GeoJSON FeatureCollection of points; developers without coordinates are left out
+function toGeoJson(developers, columns = DEFAULT_EXPORT_COLUMNS) {
+    const properties = columns.filter(column => EXPORT_COLUMNS[column] && column !== 'lat' && column !== 'lng');
+    const features = developers
+        .filter(dev => dev.coordinates)
+        .map(dev => ({
+            type: 'Feature',
+            geometry: { type: 'Point', coordinates: [dev.coordinates.lng, dev.coordinates.lat] },
+            properties: Object.fromEntries(properties.map(column => [column, EXPORT_COLUMNS[column].value(dev) ?? null]))
+        }));
+    
+    return JSON.stringify({ type: 'FeatureCollection', features }, null, 2);
+}
+
+// vCard text value with commas, semicolons, backslashes and line breaks escaped
+function escapeVCard(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/\r?\n/g, '\\n')
+        .replace(/[,;]/g, match => `\\${match}`);
+}
+
+// Fold a vCard line at 75 characters; continuation lines start with a space
+function foldVCardLine(line) {
+    const characters = Array.from(line);
+    const parts = [characters.slice(0, 75).join('')];
+    for (let i = 75; i < characters.length; i += 74) {
+        parts.push(characters.slice(i, i + 74).join(''));
+    }
+    return parts.join('\r\n ');
+}
+
+// vCard 3.0 contact cards, one per developer, for address books and CRMs
+function toVCard(developers) {
+    return developers.map(dev => {
+        const social = dev.social || {};
+        const lines = [
+            'BEGIN:VCARD',
+            'VERSION:3.0',
+            `FN:${escapeVCard(dev.name || dev.login)}`,
+            `N:${escapeVCard(dev.name || dev.login)};;;;`,
+            `NICKNAME:${escapeVCard(dev.login)}`
+        ];
+        if (dev.company) lines.push(`ORG:${escapeVCard(dev.company.replace(/^@/, ''))}`);
+        if (dev.location) lines.push(`ADR;TYPE=WORK:;;;${escapeVCard(dev.location)};;;`);
+        if (dev.coordinates) lines.push(`GEO:${dev.coordinates.lat};${dev.coordinates.lng}`);
+        if (dev.avatar_url) lines.push(`PHOTO;VALUE=URI:${dev.avatar_url}`);
+        lines.push(`URL:${dev.html_url}`);
+        if (dev.blog) lines.push(`URL:${dev.blog}`);
+        ['twitter', 'linkedin', 'youtube'].forEach(network => {
+            if (social[network]) lines.push(`X-SOCIALPROFILE;TYPE=${network}:${social[network]}`);
+        });
+        if (dev.bio) lines.push(`NOTE:${escapeVCard(dev.bio)}`);
+        lines.push('END:VCARD');
+        return lines.map(foldVCardLine).join('\r\n');
+    }).join('\r\n') + '\r\n';
+}
+
+// Formats the export panel offers
+// `columns` formats take the chosen CSV columns; every build gets (developers, columns, schemaVersion).
+const EXPORT_FORMATS = {
+    csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv', columns: true, build: toCsv },
+    json: { label: 'JSON (batch file)', extension: 'json', mimeType: 'application/json', columns: false, build: (developers, columns, schemaVersion) => toBatchJson(developers, schemaVersion) },
+    geojson: { label: 'GeoJSON', extension: 'geojson', mimeType: 'application/geo+json', columns: true, build: toGeoJson },
+    vcard: { label: 'vCard contacts', extension: 'vcf', mimeType: 'text/vcard', columns: false, build: toVCard }
+};
+
+// { content, extension, mimeType } for developers in one of EXPORT_FORMATS
+// `schemaVersion` is needed for the JSON (batch file) format.
+function exportDevelopers(developers, format, columns = DEFAULT_EXPORT_COLUMNS, schemaVersion = null) {
+    const exporter = EXPORT_FORMATS[format];
+    if (!exporter) {
+        throw new Error(`Unknown export format: ${format}`);
+    }
+    return {
+        content: exporter.build(developers, columns, schemaVersion),
+        extension: exporter.extension,
+        mimeType: exporter.mimeType
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        EXPORT_COLUMNS,
+        DEFAULT_EXPORT_COLUMNS,
+        EXPORT_FORMATS,
+        toCsv,
+        toBatchJson,
+        toGeoJson,
+        toVCard,
+        exportDevelopers
+    };
+}
@@ -0,0 +1,153 @@
+// Filter model shared by the map markers and the list view
+// The list view runs listDevelopers in a Web Worker (developer-list-worker.js).
+// Needs normalizeCompany from developer-stats.js: loaded before it in the page and the worker, required in Node.
+//
+// A filter object holds:
+//   languages     - developers using at least one of these (top_languages)
+//   followers     - [min, max], a null bound is open
+//   stars         - [min, max] on total_stars
+//   company       - part of the company name, case-insensitive ("@github" matches "github")
+//   country       - ISO country code (country_code)
+//   createdAfter  - 'YYYY-MM-DD'; accounts created on or after this day
+
+// A global from developer-stats.js in the page and the worker; required in Node
+const companyName = typeof normalizeCompany === 'function'
+    ? normalizeCompany
+    : require('./developer-stats').normalizeCompany;
+
+// Filters that let every developer through
+function createFilters() {
+    return {
+        languages: [],
+        followers: [null, null],
+        stars: [null, null],
+        company: '',
+        country: '',
+        createdAfter: ''
+    };
+}
+
+// Whether any filter is set
+function isFilterActive(filters) {
+    return filters.languages.length > 0 ||
+        filters.followers.some(bound => bound !== null) ||
+        filters.stars.some(bound => bound !== null) ||
+        Boolean(filters.company.trim()) ||
+        Boolean(filters.country) ||
+        Boolean(filters.createdAfter);
+}
+
+// Check a number against a [min, max] range with open (null) bounds
+function inRange(value, [min, max]) {
+    if (min !== null && value < min) return false;
+    if (max !== null && value > max) return false;
+    return true;
+}
+
+// Whether a developer passes every filter that is set
+// Unknown values (null stars, no company) only pass filters that aren't set.
+function matchesFilters(developer, filters) {
+    if (filters.languages.length > 0) {
+        const languages = (developer.top_languages || []).map(language => language.toLowerCase());
+        if (!filters.languages.some(language => languages.includes(language.toLowerCase()))) return false;
+    }
+    
+    if (!inRange(developer.followers || 0, filters.followers)) return false;
+    if (!inRange(developer.total_stars || 0, filters.stars)) return false;
+    
+    const company = companyName(filters.company).toLowerCase();
+    if (company && !companyName(developer.company).toLowerCase().includes(company)) return false;
+    
+    if (filters.country && developer.country_code !== filters.country) return false;
+    
+    if (filters.createdAfter) {
+        if (!developer.created_at || developer.created_at.slice(0, 10) < filters.createdAfter) return false;
+    }
+    
+    return true;
+}
+
+// Values for the filter pickers, most common first: { languages, companies, countries } as [value, count]
+// Companies and languages are grouped case-insensitively and shown as first seen.
+function getFilterOptions(developers) {
+    const count = (counts, value) => {
+        const key = value.toLowerCase();
+        const entry = counts.get(key) || [value, 0];
+        entry[1]++;
+        counts.set(key, entry);
+    };
+    const languages = new Map();
+    const companies = new Map();
+    const countries = new Map();
+    
+    for (const developer of developers) {
+        (developer.top_languages || []).forEach(language => count(languages, language));
+        const company = companyName(developer.company);
+        if (company) count(companies, company);
+        if (developer.country_code) count(countries, developer.country_code);
+    }
+    
+    const sorted = counts => [...counts.values()].sort((a, b) => b[1] - a[1]);
+    return { languages: sorted(languages), companies: sorted(companies), countries: sorted(countries) };
+}
+
+// Great-circle distance between two { lat, lng } points in km
+function getDistanceKm(a, b) {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const dLat = toRadians(b.lat - a.lat);
+    const dLng = toRadians(b.lng - a.lng);
+    const h = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+    return 6371 * 2 * Math.asin(Math.sqrt(h));
+}
+
+// The list view's rows as { logins, distances }
+// options:
+//   filters  - see createFilters
+//   query    - search text; only matches are listed, in the order `search(query)` returns their logins
+//              (during a radius search the sort still applies and that order only breaks ties)
+//   sort     - field to sort by, highest first, or 'distance' (nearest first) during a radius search
+//   radius   - { lat, lng, radiusKm, minConfidence } to keep only developers inside a circle, or null
+// `distances` maps login to km for a radius search and is null otherwise.
+function listDevelopers(developers, { filters, query, sort, radius }, search) {
+    const ranks = query && query.trim()
+        ? new Map(search(query).map((login, rank) => [login, rank]))
+        : null;
+    const distances = radius ? new Map() : null;
+    
+    const listed = developers.filter(dev => {
+        if (!matchesFilters(dev, filters)) return false;
+        if (ranks && !ranks.has(dev.login)) return false;
+        
+        if (radius) {
+            if (!dev.coordinates || (dev.coordinates.confidence ?? 1) < radius.minConfidence) return false;
+            const distance = getDistanceKm(radius, dev.coordinates);
+            if (distance > radius.radiusKm) return false;
+            distances.set(dev.login, distance);
+        }
+        return true;
+    });
+    
+    const bySort = (a, b) => sort === 'distance' && distances
+        ? distances.get(a.login) - distances.get(b.login)
+        : (b[sort] || 0) - (a[sort] || 0);
+    const byRank = (a, b) => ranks.get(a.login) - ranks.get(b.login);
+    
+    listed.sort((a, b) => {
+        if (ranks && !radius) return byRank(a, b);
+        return bySort(a, b) || (ranks ? byRank(a, b) : 0);
+    });
+    
+    return { logins: listed.map(dev => dev.login), distances };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        createFilters,
+        isFilterActive,
+        matchesFilters,
+        getFilterOptions,
+        getDistanceKm,
+        listDevelopers
+    };
+}
@@ -0,0 +1,49 @@
+// Filters, searches and sorts the list view off the main thread, so typing never blocks the page
+//
+// Messages from app.js:
+//   { type: 'developers', developers }  - the developers to list (the fields listDevelopers needs)
+//   { type: 'searchIndex', url }        - load the prebuilt search index (see search-index.js)
+//   { type: 'query', id, options }      - run listDevelopers; answered with { id, logins, distances }
+
+// Same ?v= cache-busting as the <script> tags in index.html; bump them together
+importScripts('developer-stats.js?v=1', 'developer-filters.js?v=5', 'search-index.js?v=2');
+
+let developers = [];
+let searchIndexPromise = Promise.resolve(null);
+let fallbackSearcher = null; // Built from `developers` when there's no prebuilt index
+
+// Logins matching a search, best first
+async function search(query) {
+    let searcher = await searchIndexPromise;
+    if (!searcher) {
+        fallbackSearcher = fallbackSearcher || createSearcher(buildSearchIndex(developers));
+        searcher = fallbackSearcher;
+    }
+    return searcher.search(query, Infinity).map(result => result.login);
+}
+
+self.onmessage = async ({ data: message }) => {
+    if (message.type === 'developers') {
+        developers = message.developers;
+        fallbackSearcher = null;
+    } else if (message.type === 'searchIndex') {
+        searchIndexPromise = fetch(message.url)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`Failed to load ${message.url}: ${response.status}`);
+                }
+                return response.json();
+            })
+            .then(createSearcher)
+            .catch(error => {
+                console.error('❌ List worker: failed to load search index, searching loaded developers only:', error);
+                return null;
+            });
+    } else if (message.type === 'query') {
+        // listDevelopers is synchronous, so resolve the search first
+        const { query } = message.options;
+        const matches = query && query.trim() ? await search(query) : [];
+        const result = listDevelopers(developers, message.options, () => matches);
+        self.postMessage({ id: message.id, ...result });
+    }
+};
@@ -0,0 +1,169 @@
+// Aggregate statistics over developer records, used by cli.js stats, the
+// per-region file the map's choropleth reads (data/regions.json) and the
+// dashboard's data/stats.json
+//
+// The map loads it too, for normalizeCompany in the company filter (developer-filters.js).
+
+// Count values case-insensitively and return the most common ones as [value, count]
+function topCounts(values, limit = 10) {
+    const counts = new Map();
+    values.forEach(value => {
+        const key = String(value).toLowerCase();
+        const entry = counts.get(key) || [value, 0];
+        entry[1]++;
+        counts.set(key, entry);
+    });
+    return [...counts.values()].sort((a, b) => b[1] - a[1]).slice(0, limit);
+}
+
+// Company as people type it on GitHub: "@github" and "GitHub " are the same company
+function normalizeCompany(company) {
+    return (company || '').replace(/^@/, '').trim();
+}
+
+// Totals, top developers, languages and companies for one group of developers
+function summarizeDevelopers(developers, limit) {
+    return {
+        count: developers.length,
+        followers: developers.reduce((sum, dev) => sum + (dev.followers || 0), 0),
+        stars: developers.reduce((sum, dev) => sum + (dev.total_stars || 0), 0),
+        top_developers: [...developers]
+            .sort((a, b) => (b.followers || 0) - (a.followers || 0))
+            .slice(0, limit)
+            .map(dev => ({
+                login: dev.login,
+                name: dev.name || null,
+                avatar_url: dev.avatar_url,
+                followers: dev.followers || 0,
+                total_stars: dev.total_stars ?? null
+            })),
+        top_languages: topCounts(developers.flatMap(dev => dev.top_languages || []), limit),
+        top_companies: topCounts(developers.map(dev => normalizeCompany(dev.company)).filter(Boolean), limit)
+    };
+}
+
+// Group developers by country_code and admin1 and summarize each group
+// Developers are expected to be unique by login.
+function buildRegionStats(developers, limit = 10) {
+    const countries = new Map();
+    const admin1 = new Map();
+    const add = (groups, key, dev) => {
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(dev);
+    };
+    
+    for (const dev of developers) {
+        if (!dev.country_code) continue;
+        add(countries, dev.country_code, dev);
+        if (dev.admin1) add(admin1, dev.admin1, dev);
+    }
+    
+    const summarize = groups => {
+        const result = {};
+        [...groups.keys()].sort().forEach(key => {
+            result[key] = summarizeDevelopers(groups.get(key), limit);
+        });
+        return result;
+    };
+    
+    return { countries: summarize(countries), admin1: summarize(admin1) };
+}
+
+// Follower counts where the dashboard's histogram buckets start; the last bucket is open-ended
+const FOLLOWER_BUCKETS = [0, 100, 200, 500, 1000, 2000, 5000, 10000, 20000, 50000, 100000];
+
+// Value at a fraction (0..1) of a sorted list of numbers
+function percentile(sorted, fraction) {
+    if (sorted.length === 0) return null;
+    return sorted[Math.min(sorted.length - 1, Math.floor(fraction * sorted.length))];
+}
+
+// Everything the dashboard charts, over developers that are unique by login
+//   top_cities, top_countries    - [value, count], most developers first
+//   languages.regions            - the countries with the most developers, each with its top languages;
+//                                  `with_languages` is the share's denominator
+//   companies                    - top companies, and how many developers name any company
+//   followers                    - histogram over FOLLOWER_BUCKETS, plus median and 90th percentile
+//   created_years                - [year, count] for every year from the oldest account to the newest
+function buildDashboardStats(developers, { limit = 20, regions = 12, regionLanguages = 8 } = {}) {
+    const withLanguages = developers.filter(dev => (dev.top_languages || []).length > 0);
+    const companies = developers.map(dev => normalizeCompany(dev.company)).filter(Boolean);
+    
+    // Cities only where the location was placed at city level, not just in a state or country.
+    // "San Francisco" and "San Francisco, CA" geocode to the same point, so cities are counted by
+    // point and named the way most of their developers write them.
+    const cities = new Map();
+    developers
+        .filter(dev => dev.coordinates && dev.coordinates.precision === 'city')
+        .forEach(dev => {
+            const key = `${dev.coordinates.lat.toFixed(2)},${dev.coordinates.lng.toFixed(2)}`;
+            if (!cities.has(key)) cities.set(key, []);
+            cities.get(key).push(dev.location_normalized || dev.location || key);
+        });
+    const topCities = [...cities.values()]
+        .map(names => [topCounts(names, 1)[0][0], names.length])
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, limit);
+    
+    const countries = topCounts(developers.map(dev => dev.country_code).filter(Boolean), Infinity);
+    const languageRegions = countries.slice(0, regions).map(([code, count]) => {
+        const inRegion = withLanguages.filter(dev => dev.country_code === code);
+        return {
+            country_code: code,
+            count,
+            with_languages: inRegion.length,
+            languages: topCounts(inRegion.flatMap(dev => dev.top_languages), regionLanguages)
+        };
+    });
+    
+    const followers = developers.map(dev => dev.followers || 0).sort((a, b) => a - b);
+    const buckets = FOLLOWER_BUCKETS.map((min, i) => ({ min, max: FOLLOWER_BUCKETS[i + 1] ?? null, count: 0 }));
+    followers.forEach(value => {
+        let bucket = buckets.length - 1;
+        while (bucket > 0 && value < buckets[bucket].min) bucket--;
+        buckets[bucket].count++;
+    });
+    
+    const yearCounts = new Map();
+    developers.forEach(dev => {
+        if (!dev.created_at) return;
+        const year = Number(dev.created_at.slice(0, 4));
+        yearCounts.set(year, (yearCounts.get(year) || 0) + 1);
+    });
+    const years = [...yearCounts.keys()].sort((a, b) => a - b);
+    const createdYears = [];
+    for (let year = years[0]; year <= years[years.length - 1]; year++) {
+        createdYears.push([year, yearCounts.get(year) || 0]);
+    }
+    
+    return {
+        totals: {
+            developers: developers.length,
+            located: developers.filter(dev => dev.coordinates).length,
+            countries: countries.length,
+            followers: followers.reduce((sum, value) => sum + value, 0),
+            stars: developers.reduce((sum, dev) => sum + (dev.total_stars || 0), 0)
+        },
+        top_cities: topCities,
+        top_countries: countries.slice(0, limit),
+        languages: {
+            with_languages: withLanguages.length,
+            overall: topCounts(withLanguages.flatMap(dev => dev.top_languages), limit),
+            regions: languageRegions
+        },
+        companies: {
+            with_company: companies.length,
+            top: topCounts(companies, limit)
+        },
+        followers: {
+            buckets,
+            median: percentile(followers, 0.5),
+            p90: percentile(followers, 0.9)
+        },
+        created_years: createdYears
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { topCounts, normalizeCompany, buildRegionStats, buildDashboardStats };
+}
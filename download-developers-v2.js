@@ -1,58 +1,23 @@
 const fs = require('fs');
 const https = require('https');
 const path = require('path');
-
-// Extract social networks from GitHub profile
-function extractSocialLinks(userDetails) {
-    const social = {};
-    
-    // GitHub provides these fields directly
-    if (userDetails.blog) {
-        const blog = userDetails.blog.startsWith('http') ? userDetails.blog : `https://${userDetails.blog}`;
-        social.website = blog;
-        
-        // Try to detect social networks from website URL
-        if (blog.includes('twitter.com') || blog.includes('x.com')) {
-            social.twitter = blog;
-        } else if (blog.includes('linkedin.com')) {
-            social.linkedin = blog;
-        } else if (blog.includes('youtube.com') || blog.includes('youtu.be')) {
-            social.youtube = blog;
-        }
-    }
-    
-    if (userDetails.twitter_username) {
-        social.twitter = `https://twitter.com/${userDetails.twitter_username}`;
-    }
-    
-    // Parse bio for social links
-    if (userDetails.bio) {
-        const bio = userDetails.bio;
-        
-        // Twitter patterns
-        const twitterMatch = bio.match(/(?:twitter\.com\/|@)([a-zA-Z0-9_]+)/i);
-        if (twitterMatch && !social.twitter) {
-            social.twitter = `https://twitter.com/${twitterMatch[1]}`;
-        }
-        
-        // LinkedIn patterns
-        const linkedinMatch = bio.match(/linkedin\.com\/in\/([a-zA-Z0-9-]+)/i);
-        if (linkedinMatch) {
-            social.linkedin = `https://linkedin.com/in/${linkedinMatch[1]}`;
-        }
-        
-        // YouTube patterns
-        const youtubeMatch = bio.match(/(?:youtube\.com\/(?:c\/|channel\/|@)|youtu\.be\/)([a-zA-Z0-9_-]+)/i);
-        if (youtubeMatch) {
-            social.youtube = `https://youtube.com/@${youtubeMatch[1]}`;
-        }
-    }
-    
-    return social;
-}
+const zlib = require('zlib');
+const { createGitHubClient, createEtagCache } = require('./github-client');
+const { createGeocoder, createGazetteerProvider, createNominatimProvider } = require('./geocoder');
+const { createGeocache } = require('./geocache');
+const { resolveLocation } = require('./location-normalizer');
+const { loadSearchStrategies } = require('./search-strategies');
+const { splitSearchQuery } = require('./query-splitter');
+const { extractSocialLinks } = require('./social-links');
+const { SCHEMA_VERSION, migrateBatch, migrateProgress } = require('./data-schema');
+const { createRegionLookup, convertBoundaries } = require('./boundaries');
+const { buildRegionStats, buildDashboardStats, normalizeCompany } = require('./developer-stats');
+const { buildSearchIndex } = require('./search-index');
+const { createGeoJson, createKml, createVectorTiles, VECTOR_TILE_DEFAULTS } = require('./geo-exports');
 
 // Get additional GitHub stats (stars, etc.)
-async function getGitHubStats(username) {
+// `fallback` is returned if the repos can't be fetched (e.g. the previous values when refreshing)
+async function getGitHubStats(username, fallback = null) {
     try {
         const reposResponse = await apiRequest(`/users/${username}/repos?per_page=100&sort=updated`);
         const repos = reposResponse.data || [];
@@ -62,15 +27,31 @@ async function getGitHubStats(username) {
         const languages = repos.map(repo => repo.language).filter(Boolean);
         const topLanguages = [...new Set(languages)].slice(0, 5);
         
+        // Own repositories with the most stars, for the detail file (not the batch record)
+        const topRepositories = repos
+            .filter(repo => !repo.fork)
+            .sort((a, b) => (b.stargazers_count || 0) - (a.stargazers_count || 0))
+            .slice(0, CONFIG.topRepositories)
+            .map(repo => ({
+                name: repo.name,
+                html_url: repo.html_url,
+                description: repo.description || null,
+                language: repo.language || null,
+                stargazers_count: repo.stargazers_count || 0,
+                forks_count: repo.forks_count || 0,
+                pushed_at: repo.pushed_at || null
+            }));
+        
         return {
             total_stars: totalStars,
             total_forks: totalForks,
             top_languages: topLanguages,
-            public_repos_count: repos.length
+            public_repos_count: repos.length,
+            top_repositories: topRepositories
         };
     } catch (error) {
         console.log(`Failed to get stats for ${username}: ${error.message}`);
-        return {
+        return fallback || {
             total_stars: 0,
             total_forks: 0,
             top_languages: [],
@@ -79,57 +60,98 @@ async function getGitHubStats(username) {
     }
 }
 
-// Simple geocoding function using Nominatim (OpenStreetMap)
+// Fetch JSON over HTTPS (used by the Nominatim geocoding provider)
+function fetchJson(url, requestHeaders) {
+    return new Promise((resolve, reject) => {
+        https.get(url, { headers: requestHeaders }, (res) => {
+            let data = '';
+            res.on('data', chunk => data += chunk);
+            res.on('end', () => {
+                if (res.statusCode === 200) {
+                    resolve(JSON.parse(data));
+                } else {
+                    reject(new Error(`Request failed: ${res.statusCode}`));
+                }
+            });
+        }).on('error', reject);
+    });
+}
+
+// Create a geocoding provider by name
+function createGeocodingProvider(name) {
+    switch (name) {
+        case 'gazetteer':
+            return createGazetteerProvider(JSON.parse(fs.readFileSync(CONFIG.gazetteerFile, 'utf8')));
+        case 'nominatim':
+            return createNominatimProvider({ fetchJson });
+        default:
+            throw new Error(`Unknown geocoding provider: ${name}`);
+    }
+}
+
+let geocoder = null;
+let geocache = null;
+
+// Normalize and geocode a location using the configured providers, in order
+// Results are cached on disk so re-runs skip locations that were already looked up.
+// Resolves to { location_normalized, coordinates, country_code, admin1 } where
+// coordinates carry precision (city/region/country) and a 0-1 confidence score.
 async function geocodeLocation(location) {
-    if (!location || location.trim() === '') return null;
-    
-    try {
-        const query = encodeURIComponent(location.trim());
-        const url = `https://nominatim.openstreetmap.org/search?format=json&q=${query}&limit=1`;
-        
-        const response = await new Promise((resolve, reject) => {
-            https.get(url, { headers: { 'User-Agent': 'GitHub-Developers-Map' } }, (res) => {
-                let data = '';
-                res.on('data', chunk => data += chunk);
-                res.on('end', () => resolve({ data, status: res.statusCode }));
-            }).on('error', reject);
-        });
-        
-        if (response.status === 200 && response.data) {
-            const results = JSON.parse(response.data);
-            if (results && results.length > 0) {
-                const result = results[0];
-                return {
-                    lat: parseFloat(result.lat),
-                    lng: parseFloat(result.lon)
-                };
-            }
-        }
-    } catch (error) {
-        console.log(`❌ Geocoding failed for "${location}": ${error.message}`);
+    if (!geocoder) {
+        geocache = createGeocache(path.join(CONFIG.dataDir, 'geocache.json'));
+        geocoder = createGeocoder(CONFIG.geocodingProviders.map(createGeocodingProvider), { cache: geocache });
     }
     
-    return null;
+    return resolveLocation(location, geocoder);
 }
 
-// GitHub API configuration
-const GITHUB_API_BASE = 'https://api.github.com';
+let regionLookup;
 
-// Your GitHub token (required for higher rate limits)
-const GITHUB_TOKEN = process.env.GITHUB_TOKEN;
+// Point-in-polygon lookup over the boundaries file, or null if there isn't one
+function getRegionLookup() {
+    if (regionLookup === undefined) {
+        regionLookup = fs.existsSync(CONFIG.boundariesFile)
+            ? createRegionLookup(JSON.parse(fs.readFileSync(CONFIG.boundariesFile, 'utf8')))
+            : null;
+    }
+    return regionLookup;
+}
 
-if (!GITHUB_TOKEN) {
-    console.error('Error: GITHUB_TOKEN environment variable is required');
-    console.error('Please set it: export GITHUB_TOKEN=your_token_here');
-    process.exit(1);
+// Country and state/province for geocoded coordinates, as { country_code, admin1 }
+// The boundaries polygons win when there are any; points they miss (coarse
+// coastlines) and trees without a boundaries file use what the geocoder reported.
+function getRegion(resolved) {
+    const { coordinates } = resolved;
+    if (!coordinates) return { country_code: null, admin1: null };
+    
+    let region = { country_code: resolved.country_code || null, admin1: resolved.admin1 || null };
+    const lookup = getRegionLookup();
+    const found = lookup && lookup.lookup(coordinates.lat, coordinates.lng);
+    if (found) {
+        // Only mix in the geocoder's subdivision when the boundaries don't have any for this country
+        const fallbackAdmin1 = found.country_code === region.country_code ? region.admin1 : null;
+        region = {
+            country_code: found.country_code,
+            admin1: lookup.hasAdmin1(found.country_code) ? found.admin1 : fallbackAdmin1
+        };
+    }
+    
+    // The centroid of a country-level location lies in some state that isn't necessarily the developer's
+    if (coordinates.precision === 'country') {
+        region.admin1 = null;
+    }
+    return region;
 }
 
-// Headers for API requests
-const headers = {
-    'User-Agent': 'GitHub-Developers-Map',
-    'Accept': 'application/vnd.github.v3+json',
-    'Authorization': `token ${GITHUB_TOKEN}`
-};
+// Save the geocoding cache if it was used this run
+function saveGeocache() {
+    if (geocache) {
+        geocache.save();
+    }
+}
+
+// Your GitHub token (required for higher rate limits)
+const GITHUB_TOKEN = process.env.GITHUB_TOKEN;
 
 // Configuration
 const CONFIG = {
@@ -140,161 +162,75 @@ const CONFIG = {
     searchDelayMs: 1000,              // Delay between search queries (ms)
     dataDir: './data',                // Directory to store JSON files
     maxPages: 10,                     // Max pages per search query
-    minFollowers: 50                  // Minimum followers for inclusion
+    searchResultCap: 1000,            // GitHub search never returns more results than this
+    minFollowers: 50,                 // Minimum followers for inclusion
+    tilesDir: 'tiles',                // Subdirectory of dataDir for geo-tiles
+    tileSizeDegrees: 10,              // Width/height of a geo-tile in degrees
+    compactFile: 'developers-compact.json', // Columnar map data in dataDir, see createCompactExport
+    coordinatePrecision: 4,           // Decimal places kept for lat/lng in the compact file (~10 m)
+    // Precompressed copies of the compact file for servers that serve them (gzip, brotli)
+    compactCompression: (process.env.COMPACT_COMPRESSION || '').split(',').filter(Boolean),
+    gazetteerFile: path.join(__dirname, 'data', 'gazetteer.json'),
+    // Country and state/province polygons (see boundaries.js); optional
+    boundariesFile: path.join(__dirname, 'data', 'boundaries.geojson'),
+    boundaryPrecision: 2,             // Decimal places kept when converting boundaries (~1 km)
+    regionsFile: 'regions.json',      // Per-country and per-state statistics in dataDir for the map
+    statsFile: 'stats.json',          // Aggregates in dataDir for the dashboard, see buildDashboardStats
+    detailsDir: 'details',            // Subdirectory of dataDir for per-developer detail files
+    searchIndexFile: 'search-index.json', // Prebuilt search index in dataDir, see search-index.js
+    topRepositories: 6,               // Repositories kept in a developer's detail file
+    geojsonFile: 'developers.geojson', // Developers as GeoJSON points in dataDir, see geo-exports.js
+    kmlFile: 'developers.kml',        // The same as KML placemarks
+    vectorTilesDir: 'vector-tiles',   // Subdirectory of dataDir for the vector tile pyramid ({z}/{x}/{y}.pbf)
+    // Deepest zoom of the vector tile pyramid; null = don't write vector tiles (VECTOR_TILES_MAX_ZOOM=6)
+    vectorTilesMaxZoom: process.env.VECTOR_TILES_MAX_ZOOM ? Number(process.env.VECTOR_TILES_MAX_ZOOM) : null,
+    // Geocoding providers tried in order; use GEOCODING_PROVIDERS=gazetteer to stay offline
+    geocodingProviders: (process.env.GEOCODING_PROVIDERS || 'gazetteer,nominatim').split(','),
+    // GitHub API base URL; point GITHUB_API_URL at GitHub Enterprise or a local mock server
+    githubApiUrl: process.env.GITHUB_API_URL || 'https://api.github.com',
+    etagCacheFile: 'etags.json',      // File in dataDir with cached user profiles by ETag
+    refreshAfterDays: 30,             // --refresh re-fetches developers downloaded longer ago than this
+    changelogFile: 'changelog.json',  // File in dataDir recording what changed on refresh
+    historyFile: 'history.json',      // Per-developer changes in dataDir for the profile panel, from the changelog
+    snapshotsDir: 'snapshots',        // Subdirectory of dataDir for the dated map snapshots behind the time slider
+    maxSnapshots: 104,                // Snapshots kept, newest first (two years of weekly runs)
+    querySets: null,                  // Strategy types to search (e.g. ['followers', 'location']); null = all
+    // Search strategy packs (JSON or YAML), see strategies/default.json
+    strategyFiles: process.env.STRATEGY_FILES
+        ? process.env.STRATEGY_FILES.split(',')
+        : [path.join(__dirname, 'strategies', 'default.json')]
 };
 
-// Comprehensive search queries with different strategies
-const SEARCH_STRATEGIES = [
-    // Top developers globally
-    { type: 'followers', queries: [
-        'followers:>100000',
-        'followers:50000..100000',
-        'followers:20000..50000',
-        'followers:10000..20000',
-        'followers:5000..10000',
-        'followers:2000..5000',
-        'followers:1000..2000',
-        'followers:500..1000',
-        'followers:200..500',
-        'followers:100..200'
-    ]},
-    
-    // By programming language
-    { type: 'language', queries: [
-        'language:javascript followers:>100',
-        'language:python followers:>100',
-        'language:java followers:>100',
-        'language:typescript followers:>100',
-        'language:go followers:>100',
-        'language:rust followers:>100',
-        'language:cpp followers:>100',
-        'language:c followers:>100',
-        'language:php followers:>100',
-        'language:ruby followers:>100',
-        'language:swift followers:>100',
-        'language:kotlin followers:>100',
-        'language:scala followers:>100',
-        'language:clojure followers:>100',
-        'language:elixir followers:>100',
-        'language:haskell followers:>100'
-    ]},
-    
-    // Major cities worldwide
-    { type: 'location', queries: [
-        // North America
-        'location:"San Francisco" followers:>50',
-        'location:"New York" followers:>50',
-        'location:"Seattle" followers:>50',
-        'location:"Austin" followers:>50',
-        'location:"Boston" followers:>50',
-        'location:"Toronto" followers:>50',
-        'location:"Vancouver" followers:>50',
-        'location:"Montreal" followers:>50',
-        'location:"Los Angeles" followers:>50',
-        'location:"Chicago" followers:>50',
-        'location:"Washington" followers:>50',
-        'location:"Denver" followers:>50',
-        'location:"Portland" followers:>50',
-        'location:"Miami" followers:>50',
-        'location:"Atlanta" followers:>50',
-        
-        // Europe
-        'location:"London" followers:>50',
-        'location:"Berlin" followers:>50',
-        'location:"Paris" followers:>50',
-        'location:"Amsterdam" followers:>50',
-        'location:"Stockholm" followers:>50',
-        'location:"Munich" followers:>50',
-        'location:"Barcelona" followers:>50',
-        'location:"Madrid" followers:>50',
-        'location:"Dublin" followers:>50',
-        'location:"Copenhagen" followers:>50',
-        'location:"Helsinki" followers:>50',
-        'location:"Oslo" followers:>50',
-        'location:"Zurich" followers:>50',
-        'location:"Vienna" followers:>50',
-        'location:"Prague" followers:>50',
-        'location:"Warsaw" followers:>50',
-        'location:"Budapest" followers:>50',
-        'location:"Rome" followers:>50',
-        'location:"Milan" followers:>50',
-        'location:"Brussels" followers:>50',
-        
-        // Asia
-        'location:"Tokyo" followers:>50',
-        'location:"Seoul" followers:>50',
-        'location:"Beijing" followers:>50',
-        'location:"Shanghai" followers:>50',
-        'location:"Shenzhen" followers:>50',
-        'location:"Hong Kong" followers:>50',
-        'location:"Singapore" followers:>50',
-        'location:"Bangalore" followers:>50',
-        'location:"Mumbai" followers:>50',
-        'location:"Delhi" followers:>50',
-        'location:"Hyderabad" followers:>50',
-        'location:"Pune" followers:>50',
-        'location:"Chennai" followers:>50',
-        'location:"Tel Aviv" followers:>50',
-        'location:"Bangkok" followers:>50',
-        'location:"Jakarta" followers:>50',
-        'location:"Manila" followers:>50',
-        'location:"Kuala Lumpur" followers:>50',
-        
-        // Other regions
-        'location:"Sydney" followers:>50',
-        'location:"Melbourne" followers:>50',
-        'location:"São Paulo" followers:>50',
-        'location:"Rio de Janeiro" followers:>50',
-        'location:"Buenos Aires" followers:>50',
-        'location:"Mexico City" followers:>50',
-        'location:"Dubai" followers:>50',
-        'location:"Cairo" followers:>50',
-        'location:"Cape Town" followers:>50',
-        'location:"Lagos" followers:>50'
-    ]},
-    
-    // By company/organization
-    { type: 'company', queries: [
-        'company:google followers:>50',
-        'company:microsoft followers:>50',
-        'company:facebook followers:>50',
-        'company:amazon followers:>50',
-        'company:apple followers:>50',
-        'company:netflix followers:>50',
-        'company:uber followers:>50',
-        'company:airbnb followers:>50',
-        'company:spotify followers:>50',
-        'company:github followers:>50',
-        'company:twitter followers:>50',
-        'company:linkedin followers:>50',
-        'company:adobe followers:>50',
-        'company:salesforce followers:>50'
-    ]},
-    
-    // By repository count (active developers)
-    { type: 'repos', queries: [
-        'repos:>1000 followers:>50',
-        'repos:500..1000 followers:>50',
-        'repos:200..500 followers:>50',
-        'repos:100..200 followers:>50',
-        'repos:50..100 followers:>50'
-    ]}
+// Fields compared when a developer is refreshed
+const REFRESH_TRACKED_FIELDS = [
+    'name', 'location', 'company', 'bio', 'blog', 'followers', 'following',
+    'public_repos', 'total_stars', 'total_forks', 'top_languages', 'coordinates',
+    'country_code', 'admin1'
 ];
 
+// Changelog fields the profile panel's history shows
+const HISTORY_FIELDS = ['location', 'company', 'followers', 'total_stars'];
+
+// Fields the schema migration sets to null when an old record never had them;
+// getting a value for the first time isn't a change
+const BACKFILLED_FIELDS = ['following', 'total_stars', 'total_forks', 'top_languages', 'country_code', 'admin1'];
+
 // Create data directory if it doesn't exist
 if (!fs.existsSync(CONFIG.dataDir)) {
     fs.mkdirSync(CONFIG.dataDir, { recursive: true });
 }
 
-// Load existing progress
+// Load existing progress, upgraded to the current schema version
 function loadProgress() {
     const progressFile = path.join(CONFIG.dataDir, 'progress.json');
     if (fs.existsSync(progressFile)) {
-        return JSON.parse(fs.readFileSync(progressFile, 'utf8'));
+        return migrateProgress(JSON.parse(fs.readFileSync(progressFile, 'utf8')));
     }
     return {
+        schema_version: SCHEMA_VERSION,
         currentBatch: 0,
         processedQueries: {},
+        splitQueries: {},
         totalDevelopers: 0,
         lastUpdate: new Date().toISOString()
     };
@@ -305,15 +241,18 @@ function saveProgress(progress) {
     const progressFile = path.join(CONFIG.dataDir, 'progress.json');
     progress.lastUpdate = new Date().toISOString();
     fs.writeFileSync(progressFile, JSON.stringify(progress, null, 2));
+    saveGeocache();
+    saveEtagCache();
 }
 
-// Load existing developers from current batch
+// Load existing developers from current batch, upgraded to the current schema version
 function loadCurrentBatch(batchNumber) {
     const batchFile = path.join(CONFIG.dataDir, `developers-batch-${batchNumber}.json`);
     if (fs.existsSync(batchFile)) {
-        return JSON.parse(fs.readFileSync(batchFile, 'utf8'));
+        return migrateBatch(JSON.parse(fs.readFileSync(batchFile, 'utf8')));
     }
     return {
+        schema_version: SCHEMA_VERSION,
         batch: batchNumber,
         generated_at: new Date().toISOString(),
         developers: [],
@@ -330,15 +269,40 @@ function saveBatch(batchData) {
     console.log(`Saved batch ${batchData.batch} with ${batchData.developers.length} developers`);
 }
 
-// Create index file with all batches info
-function createIndex() {
-    const indexFile = path.join(CONFIG.dataDir, 'index.json');
-    const batches = [];
-    let totalDevelopers = 0;
+// Logins of every developer in every batch file, lowercased (GitHub logins are case-insensitive)
+function loadLoginIndex() {
+    const logins = new Set();
+    for (const { data } of loadAllBatches()) {
+        data.developers.forEach(dev => logins.add(dev.login.toLowerCase()));
+    }
+    return logins;
+}
+
+// Get the geo-tile cell for a pair of coordinates
+function getTileForCoordinates(coordinates) {
+    const size = CONFIG.tileSizeDegrees;
+    const rows = Math.ceil(180 / size);
+    const cols = Math.ceil(360 / size);
+    const row = Math.min(Math.max(Math.floor((coordinates.lat + 90) / size), 0), rows - 1);
+    const col = Math.min(Math.max(Math.floor((coordinates.lng + 180) / size), 0), cols - 1);
     
-    // Find all batch files
+    return {
+        key: `${row}-${col}`,
+        // [south, west, north, east]
+        bounds: [
+            row * size - 90,
+            col * size - 180,
+            Math.min((row + 1) * size - 90, 90),
+            Math.min((col + 1) * size - 180, 180)
+        ]
+    };
+}
+
+// Load all batch files in order
+// With `migrate` (the default) older batch files are upgraded in memory to the current schema version.
+function loadAllBatches(migrate = true) {
     const files = fs.readdirSync(CONFIG.dataDir);
-    const batchFiles = files.filter(f => f.startsWith('developers-batch-') && f.endsWith('.json'));
+    const batchFiles = files.filter(f => /^developers-batch-\d+\.json$/.test(f));
     
     batchFiles.sort((a, b) => {
         const aBatch = parseInt(a.match(/developers-batch-(\d+)\.json/)[1]);
@@ -346,9 +310,459 @@ function createIndex() {
         return aBatch - bBatch;
     });
     
-    for (const file of batchFiles) {
-        const batchPath = path.join(CONFIG.dataDir, file);
-        const batchData = JSON.parse(fs.readFileSync(batchPath, 'utf8'));
+    return batchFiles.map(file => {
+        const data = JSON.parse(fs.readFileSync(path.join(CONFIG.dataDir, file), 'utf8'));
+        return { file: file, data: migrate ? migrateBatch(data) : data };
+    });
+}
+
+// Every developer once, in batch order; the first copy of a login wins
+// Logins are compared lowercased, as dedupe does, so "Octocat" and "octocat" are one developer.
+function getUniqueDevelopers(batches) {
+    const developers = [];
+    const seenLogins = new Set();
+    for (const { data } of batches) {
+        for (const dev of data.developers) {
+            const key = dev.login.toLowerCase();
+            if (seenLogins.has(key)) continue;
+            seenLogins.add(key);
+            developers.push(dev);
+        }
+    }
+    return developers;
+}
+
+// Write developers into geo-tiles so the frontend can load only what is in view
+function createTiles(batches) {
+    const tilesDir = path.join(CONFIG.dataDir, CONFIG.tilesDir);
+    if (!fs.existsSync(tilesDir)) {
+        fs.mkdirSync(tilesDir, { recursive: true });
+    }
+    
+    const tiles = new Map();
+    const unlocated = [];
+    
+    for (const dev of getUniqueDevelopers(batches)) {
+        if (!dev.coordinates) {
+            unlocated.push(dev);
+            continue;
+        }
+        
+        const tile = getTileForCoordinates(dev.coordinates);
+        if (!tiles.has(tile.key)) {
+            tiles.set(tile.key, { ...tile, developers: [] });
+        }
+        tiles.get(tile.key).developers.push(dev);
+    }
+    
+    const generatedAt = new Date().toISOString();
+    const writtenFiles = new Set();
+    const entries = [];
+    
+    for (const tile of tiles.values()) {
+        const file = `tile-${tile.key}.json`;
+        const tileData = {
+            tile: tile.key,
+            bounds: tile.bounds,
+            generated_at: generatedAt,
+            developers: tile.developers,
+            total_in_tile: tile.developers.length
+        };
+        fs.writeFileSync(path.join(tilesDir, file), JSON.stringify(tileData, null, 2));
+        writtenFiles.add(file);
+        entries.push({
+            tile: tile.key,
+            file: `${CONFIG.tilesDir}/${file}`,
+            bounds: tile.bounds,
+            count: tile.developers.length
+        });
+    }
+    
+    // Developers without coordinates can't be placed in a tile
+    const unlocatedFile = 'unlocated.json';
+    fs.writeFileSync(path.join(tilesDir, unlocatedFile), JSON.stringify({
+        tile: 'unlocated',
+        generated_at: generatedAt,
+        developers: unlocated,
+        total_in_tile: unlocated.length
+    }, null, 2));
+    writtenFiles.add(unlocatedFile);
+    
+    // Remove tiles left over from previous runs
+    for (const file of fs.readdirSync(tilesDir)) {
+        if (file.endsWith('.json') && !writtenFiles.has(file)) {
+            fs.unlinkSync(path.join(tilesDir, file));
+        }
+    }
+    
+    entries.sort((a, b) => b.count - a.count);
+    console.log(`Created ${entries.length} geo-tiles (${unlocated.length} developers without coordinates)`);
+    
+    return {
+        tile_size: CONFIG.tileSizeDegrees,
+        total_tiles: entries.length,
+        files: entries,
+        unlocated: {
+            file: `${CONFIG.tilesDir}/${unlocatedFile}`,
+            count: unlocated.length
+        }
+    };
+}
+
+// Write the columns the map needs (login, lat, lng, followers, stars) into one small file
+// Each developer's full record is loaded from its geo-tile when the popup opens,
+// so `tile` indexes into the list of tile files. The map's filters also need country,
+// account creation day, company and languages; companies and languages are stored
+// once in `dictionaries` and referenced by index.
+function createCompactExport(batches) {
+    const rounding = 10 ** CONFIG.coordinatePrecision;
+    const round = value => Math.round(value * rounding) / rounding;
+    const tileFiles = [];
+    const tileNumbers = new Map();
+    const dictionaries = { company: [], languages: [] };
+    const dictionaryIndexes = { company: new Map(), languages: new Map() };
+    const lookup = (name, value) => {
+        if (!dictionaryIndexes[name].has(value)) {
+            dictionaryIndexes[name].set(value, dictionaries[name].length);
+            dictionaries[name].push(value);
+        }
+        return dictionaryIndexes[name].get(value);
+    };
+    const columns = {
+        login: [], lat: [], lng: [], followers: [], stars: [], confidence: [], tile: [],
+        country: [], created: [], company: [], languages: []
+    };
+    
+    // Same unique developers as createTiles, so the tile holds the record the map plotted
+    for (const dev of getUniqueDevelopers(batches)) {
+        if (!dev.coordinates) continue;
+        
+        const tileFile = `${CONFIG.tilesDir}/tile-${getTileForCoordinates(dev.coordinates).key}.json`;
+        if (!tileNumbers.has(tileFile)) {
+            tileNumbers.set(tileFile, tileFiles.length);
+            tileFiles.push(tileFile);
+        }
+        
+        columns.login.push(dev.login);
+        columns.lat.push(round(dev.coordinates.lat));
+        columns.lng.push(round(dev.coordinates.lng));
+        columns.followers.push(dev.followers || 0);
+        columns.stars.push(dev.total_stars ?? null);
+        columns.confidence.push(dev.coordinates.confidence ?? null);
+        columns.tile.push(tileNumbers.get(tileFile));
+        columns.country.push(dev.country_code || null);
+        columns.created.push(dev.created_at ? dev.created_at.slice(0, 10) : null);
+        
+        const company = normalizeCompany(dev.company);
+        columns.company.push(company ? lookup('company', company) : null);
+        columns.languages.push((dev.top_languages || []).map(language => lookup('languages', language)));
+    }
+    
+    const compactFile = path.join(CONFIG.dataDir, CONFIG.compactFile);
+    const contents = JSON.stringify({
+        schema_version: SCHEMA_VERSION,
+        generated_at: new Date().toISOString(),
+        count: columns.login.length,
+        tiles: tileFiles,
+        dictionaries,
+        columns
+    });
+    fs.writeFileSync(compactFile, contents);
+    
+    // Precompressed copies; stale ones are removed so a server never picks up old data
+    const compressors = {
+        gzip: { extension: '.gz', compress: data => zlib.gzipSync(data, { level: 9 }) },
+        brotli: {
+            extension: '.br',
+            compress: data => zlib.brotliCompressSync(data, {
+                params: { [zlib.constants.BROTLI_PARAM_QUALITY]: zlib.constants.BROTLI_MAX_QUALITY }
+            })
+        }
+    };
+    const unknown = CONFIG.compactCompression.filter(name => !compressors[name]);
+    if (unknown.length > 0) {
+        throw new Error(`Unknown compression ${unknown.join(', ')} (available: ${Object.keys(compressors).join(', ')})`);
+    }
+    
+    const compressed = [];
+    for (const [name, { extension, compress }] of Object.entries(compressors)) {
+        const file = compactFile + extension;
+        if (CONFIG.compactCompression.includes(name)) {
+            fs.writeFileSync(file, compress(contents));
+            compressed.push(`${CONFIG.compactFile}${extension}`);
+        } else if (fs.existsSync(file)) {
+            fs.unlinkSync(file);
+        }
+    }
+    
+    const sizes = [CONFIG.compactFile, ...compressed]
+        .map(file => `${file} ${(fs.statSync(path.join(CONFIG.dataDir, file)).size / 1024).toFixed(1)} KB`);
+    console.log(`Created compact export of ${columns.login.length} developers (${sizes.join(', ')})`);
+    
+    return {
+        file: CONFIG.compactFile,
+        count: columns.login.length,
+        columns: Object.keys(columns),
+        compressed
+    };
+}
+
+// Write per-country and per-state/province statistics for the map's choropleth
+function createRegionsFile(batches) {
+    const { countries, admin1 } = buildRegionStats(getUniqueDevelopers(batches));
+    fs.writeFileSync(path.join(CONFIG.dataDir, CONFIG.regionsFile), JSON.stringify({
+        schema_version: SCHEMA_VERSION,
+        generated_at: new Date().toISOString(),
+        countries,
+        admin1
+    }));
+    
+    const countryCount = Object.keys(countries).length;
+    const admin1Count = Object.keys(admin1).length;
+    console.log(`Created region statistics for ${countryCount} countries and ${admin1Count} states/provinces`);
+    
+    return {
+        file: CONFIG.regionsFile,
+        countries: countryCount,
+        admin1: admin1Count,
+        // The map can only draw regions when the boundaries are bundled
+        boundaries: fs.existsSync(CONFIG.boundariesFile) ? path.basename(CONFIG.boundariesFile) : null
+    };
+}
+
+// Write the aggregates the dashboard charts
+function createStatsFile(batches) {
+    const developers = getUniqueDevelopers(batches);
+    const stats = buildDashboardStats(developers);
+    fs.writeFileSync(path.join(CONFIG.dataDir, CONFIG.statsFile), JSON.stringify({
+        schema_version: SCHEMA_VERSION,
+        generated_at: new Date().toISOString(),
+        ...stats
+    }));
+    console.log(`Created dashboard statistics for ${developers.length} developers in ${stats.totals.countries} countries`);
+    
+    return {
+        file: CONFIG.statsFile,
+        count: developers.length
+    };
+}
+
+// Write the search index the map's search box queries
+function createSearchIndexFile(batches) {
+    const developers = getUniqueDevelopers(batches);
+    const searchIndex = buildSearchIndex(developers);
+    fs.writeFileSync(path.join(CONFIG.dataDir, CONFIG.searchIndexFile), JSON.stringify({
+        schema_version: SCHEMA_VERSION,
+        generated_at: new Date().toISOString(),
+        ...searchIndex
+    }));
+    console.log(`Created search index with ${searchIndex.terms.length} terms for ${developers.length} developers`);
+    
+    return {
+        file: CONFIG.searchIndexFile,
+        count: developers.length,
+        terms: searchIndex.terms.length
+    };
+}
+
+// The vector_tiles entry of the current index.json, if it lists one
+function loadPreviousVectorTiles() {
+    const indexFile = path.join(CONFIG.dataDir, 'index.json');
+    if (!fs.existsSync(indexFile)) return null;
+    
+    const index = JSON.parse(fs.readFileSync(indexFile, 'utf8'));
+    return (index.exports && index.exports.vector_tiles) || null;
+}
+
+// Write the developers as GeoJSON and KML, and as a vector tile pyramid if CONFIG.vectorTilesMaxZoom is set
+// Without it an existing pyramid is left as it is, so it doesn't disappear on the next fetch or refresh.
+function createGeoExports(batches) {
+    const developers = getUniqueDevelopers(batches);
+    const geojson = createGeoJson(developers);
+    fs.writeFileSync(path.join(CONFIG.dataDir, CONFIG.geojsonFile), JSON.stringify(geojson));
+    fs.writeFileSync(path.join(CONFIG.dataDir, CONFIG.kmlFile), createKml(developers));
+    console.log(`Created ${CONFIG.geojsonFile} and ${CONFIG.kmlFile} with ${geojson.features.length} developers`);
+    
+    const tilesDir = path.join(CONFIG.dataDir, CONFIG.vectorTilesDir);
+    let vectorTiles = null;
+    if (CONFIG.vectorTilesMaxZoom === null) {
+        // Not requested this run: keep a pyramid built earlier and its index.json entry
+        vectorTiles = fs.existsSync(tilesDir) ? loadPreviousVectorTiles() : null;
+    } else {
+        // Tiles are rewritten from scratch; a smaller pyramid than last time leaves nothing behind
+        fs.rmSync(tilesDir, { recursive: true, force: true });
+        
+        const maxZoom = CONFIG.vectorTilesMaxZoom;
+        const tiles = createVectorTiles(developers, { maxZoom });
+        let bytes = 0;
+        tiles.forEach((tile, key) => {
+            const file = path.join(tilesDir, `${key}.pbf`);
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            fs.writeFileSync(file, tile);
+            bytes += tile.length;
+        });
+        console.log(`Created ${tiles.size} vector tiles for zoom ${VECTOR_TILE_DEFAULTS.minZoom}-${maxZoom} (${(bytes / 1024).toFixed(1)} KB)`);
+        
+        vectorTiles = {
+            dir: CONFIG.vectorTilesDir,
+            url: `${CONFIG.vectorTilesDir}/{z}/{x}/{y}.pbf`,
+            layer: VECTOR_TILE_DEFAULTS.layer,
+            minzoom: VECTOR_TILE_DEFAULTS.minZoom,
+            maxzoom: maxZoom,
+            count: tiles.size
+        };
+    }
+    
+    return {
+        geojson: CONFIG.geojsonFile,
+        kml: CONFIG.kmlFile,
+        count: geojson.features.length,
+        vector_tiles: vectorTiles
+    };
+}
+
+// Archive where every located developer is today, for the map's time slider
+// One snapshot per day (a later run that day replaces it); beyond CONFIG.maxSnapshots the oldest are removed.
+// Nothing is written when the positions and counts are the same as in the latest snapshot.
+function createSnapshot(batches) {
+    const rounding = 10 ** CONFIG.coordinatePrecision;
+    const round = value => Math.round(value * rounding) / rounding;
+    const columns = { login: [], lat: [], lng: [], followers: [], stars: [], confidence: [] };
+    for (const dev of getUniqueDevelopers(batches)) {
+        if (!dev.coordinates) continue;
+        
+        columns.login.push(dev.login);
+        columns.lat.push(round(dev.coordinates.lat));
+        columns.lng.push(round(dev.coordinates.lng));
+        columns.followers.push(dev.followers || 0);
+        columns.stars.push(dev.total_stars ?? null);
+        columns.confidence.push(dev.coordinates.confidence ?? null);
+    }
+    
+    const snapshotsDir = path.join(CONFIG.dataDir, CONFIG.snapshotsDir);
+    fs.mkdirSync(snapshotsDir, { recursive: true });
+    const listSnapshots = () => fs.readdirSync(snapshotsDir).filter(file => /^\d{4}-\d{2}-\d{2}\.json$/.test(file)).sort();
+    
+    const latest = listSnapshots().pop();
+    const unchanged = latest &&
+        JSON.stringify(JSON.parse(fs.readFileSync(path.join(snapshotsDir, latest), 'utf8')).columns) === JSON.stringify(columns);
+    if (unchanged) {
+        console.log(`Snapshot ${latest.replace('.json', '')} is still current, no new snapshot`);
+    } else {
+        const generatedAt = new Date().toISOString();
+        const date = generatedAt.slice(0, 10);
+        fs.writeFileSync(path.join(snapshotsDir, `${date}.json`), JSON.stringify({
+            schema_version: SCHEMA_VERSION,
+            date,
+            generated_at: generatedAt,
+            count: columns.login.length,
+            columns
+        }));
+        console.log(`Archived snapshot ${date} of ${columns.login.length} developers`);
+    }
+    
+    const files = listSnapshots();
+    const removed = files.slice(0, Math.max(0, files.length - CONFIG.maxSnapshots));
+    removed.forEach(file => fs.unlinkSync(path.join(snapshotsDir, file)));
+    
+    const kept = files.slice(removed.length).map(file => {
+        const snapshot = JSON.parse(fs.readFileSync(path.join(snapshotsDir, file), 'utf8'));
+        return { date: snapshot.date, file: `${CONFIG.snapshotsDir}/${file}`, count: snapshot.count };
+    });
+    console.log(`Keeping ${kept.length} snapshots${removed.length > 0 ? `, removed ${removed.length}` : ''}`);
+    
+    return { dir: CONFIG.snapshotsDir, files: kept };
+}
+
+// Write each developer's moves, company changes and follower/star counts over time, from the refresh changelog
+function createHistoryFile() {
+    const developers = {};
+    let entries = 0;
+    for (const entry of loadChangelog().entries) {
+        const changes = Object.fromEntries(HISTORY_FIELDS
+            .filter(field => entry.changes[field])
+            .map(field => [field, entry.changes[field]]));
+        if (Object.keys(changes).length === 0) continue;
+        
+        if (!developers[entry.login]) developers[entry.login] = [];
+        developers[entry.login].push({ changed_at: entry.changed_at, changes });
+        entries++;
+    }
+    Object.values(developers).forEach(list => list.sort((a, b) => a.changed_at.localeCompare(b.changed_at)));
+    
+    const count = Object.keys(developers).length;
+    fs.writeFileSync(path.join(CONFIG.dataDir, CONFIG.historyFile), JSON.stringify({
+        schema_version: SCHEMA_VERSION,
+        generated_at: new Date().toISOString(),
+        fields: HISTORY_FIELDS,
+        count,
+        developers
+    }));
+    console.log(`Created history of ${entries} changes for ${count} developers`);
+    
+    return {
+        file: CONFIG.historyFile,
+        count,
+        entries
+    };
+}
+
+// Detail file name for a developer; logins are case-insensitive
+function getDetailFileName(login) {
+    return `${login.toLowerCase()}.json`;
+}
+
+// Write what the map's profile panel shows on demand but the batches don't need
+function saveDeveloperDetail(login, stats) {
+    const detailsDir = path.join(CONFIG.dataDir, CONFIG.detailsDir);
+    if (!fs.existsSync(detailsDir)) {
+        fs.mkdirSync(detailsDir, { recursive: true });
+    }
+    
+    fs.writeFileSync(path.join(detailsDir, getDetailFileName(login)), JSON.stringify({
+        schema_version: SCHEMA_VERSION,
+        login,
+        generated_at: new Date().toISOString(),
+        top_repositories: stats.top_repositories
+    }, null, 2));
+}
+
+// Count the detail files written by fetch and refresh, removing those of developers no longer in the batches
+function indexDeveloperDetails(batches) {
+    const detailsDir = path.join(CONFIG.dataDir, CONFIG.detailsDir);
+    if (!fs.existsSync(detailsDir)) {
+        return { dir: CONFIG.detailsDir, count: 0 };
+    }
+    
+    const expectedFiles = new Set();
+    for (const { data } of batches) {
+        data.developers.forEach(dev => expectedFiles.add(getDetailFileName(dev.login)));
+    }
+    
+    let count = 0;
+    for (const file of fs.readdirSync(detailsDir)) {
+        if (!file.endsWith('.json')) continue;
+        if (expectedFiles.has(file)) {
+            count++;
+        } else {
+            fs.unlinkSync(path.join(detailsDir, file));
+        }
+    }
+    
+    console.log(`Found detail files for ${count} developers`);
+    return { dir: CONFIG.detailsDir, count };
+}
+
+// Create index file with all batches and tiles info
+function createIndex() {
+    const indexFile = path.join(CONFIG.dataDir, 'index.json');
+    const batches = [];
+    let totalDevelopers = 0;
+    
+    // Find all batch files
+    const batchFiles = loadAllBatches();
+    
+    for (const { file, data: batchData } of batchFiles) {
         batches.push({
             batch: batchData.batch,
             file: file,
@@ -359,9 +773,19 @@ function createIndex() {
     }
     
     const index = {
+        schema_version: SCHEMA_VERSION,
         total_developers: totalDevelopers,
         total_batches: batches.length,
         batches: batches,
+        tiles: createTiles(batchFiles),
+        compact: createCompactExport(batchFiles),
+        regions: createRegionsFile(batchFiles),
+        stats: createStatsFile(batchFiles),
+        details: indexDeveloperDetails(batchFiles),
+        search: createSearchIndexFile(batchFiles),
+        exports: createGeoExports(batchFiles),
+        snapshots: createSnapshot(batchFiles),
+        history: createHistoryFile(),
         last_updated: new Date().toISOString()
     };
     
@@ -369,31 +793,30 @@ function createIndex() {
     console.log(`Created index with ${totalDevelopers} total developers across ${batches.length} batches`);
 }
 
-// Make API request
-function apiRequest(path) {
-    return new Promise((resolve, reject) => {
-        const options = {
-            hostname: 'api.github.com',
-            path: path,
-            method: 'GET',
-            headers: headers
-        };
+let github = null;
+let etagCache = null;
 
-        https.get(options, (res) => {
-            let data = '';
-            res.on('data', chunk => data += chunk);
-            res.on('end', () => {
-                if (res.statusCode === 200) {
-                    resolve({
-                        data: JSON.parse(data),
-                        headers: res.headers
-                    });
-                } else {
-                    reject(new Error(`API request failed: ${res.statusCode} - ${data}`));
-                }
-            });
-        }).on('error', reject);
-    });
+// Make API request through the shared client (retries, rate-limit waits, ETags)
+// Only user profiles are ETag-cached; repo lists and searches would make the cache huge.
+function apiRequest(apiPath) {
+    if (!github) {
+        etagCache = createEtagCache(path.join(CONFIG.dataDir, CONFIG.etagCacheFile));
+        github = createGitHubClient({
+            token: GITHUB_TOKEN,
+            baseUrl: CONFIG.githubApiUrl,
+            etagCache,
+            cacheable: requestPath => /^\/users\/[^/?]+$/.test(requestPath)
+        });
+    }
+    
+    return github.request(apiPath);
+}
+
+// Save the ETag cache if it was used this run
+function saveEtagCache() {
+    if (etagCache) {
+        etagCache.save();
+    }
 }
 
 // Delay function
@@ -415,9 +838,75 @@ async function checkRateLimit() {
     }
 }
 
+// Build a developer record from a GitHub user profile
+// When refreshing, `previous` is the stored record; its stats are kept if the repos can't be fetched.
+async function buildDeveloperRecord(userDetails, previous = null) {
+    // Geocode the location to get coordinates
+    console.log(`      🌍 Geocoding "${userDetails.location}"...`);
+    const resolved = await geocodeLocation(userDetails.location);
+    const { location_normalized, coordinates } = resolved;
+    const region = getRegion(resolved);
+    
+    // Extract social links
+    console.log(`      🔗 Extracting social links...`);
+    const social = extractSocialLinks(userDetails);
+    
+    // Get GitHub stats (stars, languages, etc.)
+    console.log(`      ⭐ Fetching GitHub stats...`);
+    const stats = await getGitHubStats(userDetails.login, previous && previous.top_languages ? previous : null);
+    if (stats.top_repositories) {
+        saveDeveloperDetail(userDetails.login, stats);
+    }
+    
+    return {
+        login: userDetails.login,
+        name: userDetails.name,
+        avatar_url: userDetails.avatar_url,
+        html_url: userDetails.html_url,
+        location: userDetails.location,
+        location_normalized: location_normalized,
+        coordinates: coordinates, // Add geocoded coordinates
+        country_code: region.country_code,
+        admin1: region.admin1,
+        company: userDetails.company,
+        bio: userDetails.bio,
+        blog: userDetails.blog,
+        followers: userDetails.followers,
+        following: userDetails.following,
+        public_repos: userDetails.public_repos,
+        public_gists: userDetails.public_gists,
+        created_at: userDetails.created_at,
+        updated_at: userDetails.updated_at,
+        downloaded_at: new Date().toISOString(),
+        
+        // Enhanced data
+        social: social,
+        total_stars: stats.total_stars,
+        total_forks: stats.total_forks,
+        top_languages: stats.top_languages,
+        public_repos_count: stats.public_repos_count
+    };
+}
+
+// Load the configured strategy packs, filtered by CONFIG.querySets
+// Templates can use {min} for CONFIG.minFollowers unless a pack sets its own.
+function getSearchStrategies() {
+    const strategies = loadSearchStrategies(CONFIG.strategyFiles, {
+        variables: { min: CONFIG.minFollowers },
+        maxPages: CONFIG.maxPages
+    });
+    
+    return CONFIG.querySets
+        ? strategies.filter(strategy => CONFIG.querySets.includes(strategy.type))
+        : strategies;
+}
+
 // Fetch developers for a search query with pagination
+// Resolves to { developers, totalCount, split }; `split` lists narrower queries to run instead
+// when the query matches more results than search can return.
 async function fetchDevelopersForQuery(query, existingLogins, maxPages = CONFIG.maxPages, maxDevelopersRemaining = CONFIG.maxDevelopersPerRun) {
     const developers = [];
+    let totalCount = null;
     let page = 1;
     
     while (page <= maxPages) {
@@ -425,6 +914,17 @@ async function fetchDevelopersForQuery(query, existingLogins, maxPages = CONFIG.
             console.log(`  Page ${page}: Searching "${query}"...`);
             const searchPath = `/search/users?q=${encodeURIComponent(query)}&sort=followers&order=desc&per_page=100&page=${page}`;
             const searchResult = await apiRequest(searchPath);
+            totalCount = searchResult.data.total_count;
+            
+            // Search stops after 1,000 results; narrower queries are searched instead
+            if (page === 1 && totalCount > CONFIG.searchResultCap) {
+                const parts = splitSearchQuery(query);
+                if (parts) {
+                    console.log(`  ✂️  ${totalCount} results is over the ${CONFIG.searchResultCap} cap, splitting into "${parts.join('" and "')}"`);
+                    return { developers, totalCount, split: parts };
+                }
+                console.log(`  ⚠️  ${totalCount} results but the query can't be split further, only the first ${CONFIG.searchResultCap} are reachable`);
+            }
             
             if (searchResult.data.items.length === 0) {
                 console.log(`  No more results for "${query}"`);
@@ -436,7 +936,7 @@ async function fetchDevelopersForQuery(query, existingLogins, maxPages = CONFIG.
             // Fetch detailed info for each developer
             for (const user of searchResult.data.items) {
                 // Skip if we already have this developer
-                if (existingLogins.has(user.login)) {
+                if (existingLogins.has(user.login.toLowerCase())) {
                     continue;
                 }
                 
@@ -447,55 +947,22 @@ async function fetchDevelopersForQuery(query, existingLogins, maxPages = CONFIG.
                     
                     // Only include developers with location and minimum followers
                     if (userDetails.location && userDetails.followers >= CONFIG.minFollowers) {
-                        // Geocode the location to get coordinates
-                        console.log(`      🌍 Geocoding "${userDetails.location}"...`);
-                        const coordinates = await geocodeLocation(userDetails.location);
-                        
-                        // Extract social links
-                        console.log(`      🔗 Extracting social links...`);
-                        const social = extractSocialLinks(userDetails);
-                        
-                        // Get GitHub stats (stars, languages, etc.)
-                        console.log(`      ⭐ Fetching GitHub stats...`);
-                        const stats = await getGitHubStats(userDetails.login);
-                        
-                        const developer = {
-                            login: userDetails.login,
-                            name: userDetails.name,
-                            avatar_url: userDetails.avatar_url,
-                            html_url: userDetails.html_url,
-                            location: userDetails.location,
-                            coordinates: coordinates, // Add geocoded coordinates
-                            company: userDetails.company,
-                            bio: userDetails.bio,
-                            blog: userDetails.blog,
-                            followers: userDetails.followers,
-                            following: userDetails.following,
-                            public_repos: userDetails.public_repos,
-                            public_gists: userDetails.public_gists,
-                            created_at: userDetails.created_at,
-                            updated_at: userDetails.updated_at,
-                            downloaded_at: new Date().toISOString(),
-                            
-                            // Enhanced data
-                            social: social,
-                            total_stars: stats.total_stars,
-                            total_forks: stats.total_forks,
-                            top_languages: stats.top_languages,
-                            public_repos_count: stats.public_repos_count
-                        };
+                        const developer = await buildDeveloperRecord(userDetails);
+                        const { coordinates, social } = developer;
                         
                         developers.push(developer);
-                        existingLogins.add(userDetails.login);
+                        existingLogins.add(userDetails.login.toLowerCase());
                         
-                        const coordsStr = coordinates ? `${coordinates.lat.toFixed(4)}, ${coordinates.lng.toFixed(4)}` : 'no coords';
+                        const coordsStr = coordinates
+                            ? `${coordinates.lat.toFixed(4)}, ${coordinates.lng.toFixed(4)} ${coordinates.precision} ${coordinates.confidence}`
+                            : 'no coords';
                         const socialStr = Object.keys(social).length > 0 ? `social: ${Object.keys(social).join(', ')}` : 'no social';
-                        console.log(`      ✅ Added ${userDetails.login} (${userDetails.followers} followers, ⭐${stats.total_stars} stars, ${socialStr}) [${coordsStr}]`);
+                        console.log(`      ✅ Added ${userDetails.login} (${userDetails.followers} followers, ⭐${developer.total_stars} stars, ${socialStr}) [${coordsStr}]`);
                         
                         // Check if we've reached the limit for this run
                         if (developers.length >= maxDevelopersRemaining) {
                             console.log(`      🎯 Reached limit of ${maxDevelopersRemaining} developers for this query, stopping...`);
-                            return developers;
+                            return { developers, totalCount, split: null };
                         }
                         
                         // Add small delay between requests to be respectful
@@ -513,25 +980,29 @@ async function fetchDevelopersForQuery(query, existingLogins, maxPages = CONFIG.
             
             page++;
             await delay(CONFIG.requestDelayMs);
-            
+        
         } catch (error) {
             console.error(`  Error searching page ${page} of "${query}":`, error.message);
-            if (error.message.includes('403')) {
-                const { remaining } = await checkRateLimit();
-                if (remaining < 10) {
-                    console.log('  Rate limit low, stopping this query');
-                    break;
-                }
+            // The client already waited out rate limits and retried; give up on this query
+            if (error.rateLimited || error.status === 403 || error.status === 422) {
+                console.log('  Search failed, stopping this query');
+                break;
             }
             await delay(CONFIG.searchDelayMs);
         }
     }
     
-    return developers;
+    return { developers, totalCount, split: null };
 }
 
 // Main download function
 async function downloadDevelopers() {
+    if (!GITHUB_TOKEN) {
+        console.error('Error: GITHUB_TOKEN environment variable is required');
+        console.error('Please set it: export GITHUB_TOKEN=your_token_here');
+        process.exit(1);
+    }
+    
     console.log('🚀 Starting chunked developer data download...');
     console.log(`🎯 Processing limit: ${CONFIG.maxDevelopersPerRun} developers per run`);
     
@@ -548,18 +1019,29 @@ async function downloadDevelopers() {
     
     // Load current batch
     let currentBatch = loadCurrentBatch(progress.currentBatch);
-    const existingLogins = new Set(currentBatch.developers.map(dev => dev.login));
+    const existingLogins = loadLoginIndex();
+    console.log(`📇 ${existingLogins.size} developers already downloaded across all batches`);
     
     console.log(`📁 Working on batch ${progress.currentBatch} (${currentBatch.developers.length}/${CONFIG.developersPerFile} developers)`);
     
     // Track developers processed in this run
     let developersProcessedThisRun = 0;
     
-    // Process each search strategy
-    for (const strategy of SEARCH_STRATEGIES) {
-        console.log(`\n🔍 Processing ${strategy.type} searches...`);
+    // Process each search strategy, highest priority first
+    const strategies = getSearchStrategies();
+    if (strategies.length === 0) {
+        console.error(`❌ No strategies match --queries ${CONFIG.querySets.join(',')}`);
+        return;
+    }
+    
+    for (const strategy of strategies) {
+        console.log(`\n🔍 Processing ${strategy.name} (${strategy.type}) searches...`);
+        let developersFromStrategy = 0;
         
-        for (const query of strategy.queries) {
+        // Split queries put their parts at the front, followed by the query itself
+        const pendingQueries = [...strategy.queries];
+        while (pendingQueries.length > 0) {
+            const query = pendingQueries.shift();
             const queryKey = `${strategy.type}:${query}`;
             
             // Skip if already processed
@@ -568,15 +1050,52 @@ async function downloadDevelopers() {
                 continue;
             }
             
+            // A split query (possibly from an earlier run) is done once all its parts are
+            const split = progress.splitQueries[queryKey];
+            if (split) {
+                const partKeys = split.parts.map(part => `${strategy.type}:${part}`);
+                if (partKeys.some(partKey => !progress.processedQueries[partKey])) {
+                    pendingQueries.unshift(...split.parts, query);
+                    continue;
+                }
+                
+                progress.processedQueries[queryKey] = {
+                    processed_at: new Date().toISOString(),
+                    developers_found: partKeys.reduce((sum, partKey) => sum + progress.processedQueries[partKey].developers_found, 0),
+                    split_into: split.parts
+                };
+                saveProgress(progress);
+                continue;
+            }
+            
             console.log(`\n  🔎 Processing: ${query}`);
             
-            const remainingForThisRun = CONFIG.maxDevelopersPerRun - developersProcessedThisRun;
-            const newDevelopers = await fetchDevelopersForQuery(query, existingLogins, CONFIG.maxPages, remainingForThisRun);
+            // The per-strategy limit caps how much of the run one strategy can use
+            let remainingForThisRun = CONFIG.maxDevelopersPerRun - developersProcessedThisRun;
+            if (strategy.max_developers !== null) {
+                remainingForThisRun = Math.min(remainingForThisRun, strategy.max_developers - developersFromStrategy);
+            }
+            const { developers: newDevelopers, totalCount, split: parts } =
+                await fetchDevelopersForQuery(query, existingLogins, strategy.max_pages, remainingForThisRun);
+            
+            // Record the split so an interrupted run resumes with the same parts
+            if (parts) {
+                progress.splitQueries[queryKey] = {
+                    total_count: totalCount,
+                    parts,
+                    split_at: new Date().toISOString()
+                };
+                saveProgress(progress);
+                pendingQueries.unshift(...parts, query);
+                await delay(CONFIG.searchDelayMs);
+                continue;
+            }
             
             // Add to current batch
             currentBatch.developers.push(...newDevelopers);
             progress.totalDevelopers += newDevelopers.length;
             developersProcessedThisRun += newDevelopers.length;
+            developersFromStrategy += newDevelopers.length;
             
             console.log(`  ✅ Added ${newDevelopers.length} new developers from "${query}"`);
             console.log(`  📈 Batch progress: ${currentBatch.developers.length}/${CONFIG.developersPerFile}`);
@@ -611,7 +1130,6 @@ async function downloadDevelopers() {
                 // Start new batch
                 progress.currentBatch++;
                 currentBatch = loadCurrentBatch(progress.currentBatch);
-                existingLogins.clear();
                 
                 console.log(`📁 Started new batch ${progress.currentBatch}`);
                 saveProgress(progress);
@@ -627,6 +1145,12 @@ async function downloadDevelopers() {
                 createIndex();
                 return;
             }
+            
+            // Remaining queries of this strategy are picked up on the next run
+            if (strategy.max_developers !== null && developersFromStrategy >= strategy.max_developers) {
+                console.log(`  🎯 Reached limit of ${strategy.max_developers} developers for ${strategy.name}, moving on...`);
+                break;
+            }
         }
     }
     
@@ -641,13 +1165,428 @@ async function downloadDevelopers() {
     console.log(`\n🎉 Download session complete!`);
     console.log(`📊 Total developers: ${progress.totalDevelopers}`);
     console.log(`📁 Current batch: ${progress.currentBatch}`);
+    if (geocache) {
+        console.log(`🌍 Geocache: ${geocache.stats.reused} lookups reused, ${geocache.stats.added} new`);
+    }
+    if (github) {
+        const { requests, notModified, retries, rateLimitWaits } = github.stats;
+        console.log(`🐙 GitHub API: ${requests} requests, ${notModified} not modified, ${retries} retries, ${rateLimitWaits} rate limit waits`);
+    }
     
     await checkRateLimit();
 }
 
+// Compare two versions of a developer record, returning { field: { from, to } }
+// Fields missing from the old record (older download formats) aren't reported as changes.
+function diffDeveloper(previous, current) {
+    const changes = {};
+    
+    for (const field of REFRESH_TRACKED_FIELDS) {
+        if (previous[field] === undefined) continue;
+        if (previous[field] === null && BACKFILLED_FIELDS.includes(field)) continue;
+        
+        const before = field === 'coordinates' && previous[field] ? [previous[field].lat, previous[field].lng] : previous[field];
+        const after = field === 'coordinates' && current[field] ? [current[field].lat, current[field].lng] : current[field];
+        if (JSON.stringify(before ?? null) !== JSON.stringify(after ?? null)) {
+            changes[field] = { from: previous[field] ?? null, to: current[field] ?? null };
+        }
+    }
+    
+    return changes;
+}
+
+// Load the refresh changelog
+function loadChangelog() {
+    const changelogFile = path.join(CONFIG.dataDir, CONFIG.changelogFile);
+    if (fs.existsSync(changelogFile)) {
+        return JSON.parse(fs.readFileSync(changelogFile, 'utf8'));
+    }
+    return { entries: [] };
+}
+
+// Save the refresh changelog
+function saveChangelog(changelog) {
+    const changelogFile = path.join(CONFIG.dataDir, CONFIG.changelogFile);
+    changelog.updated_at = new Date().toISOString();
+    changelog.total_entries = changelog.entries.length;
+    fs.writeFileSync(changelogFile, JSON.stringify(changelog, null, 2));
+}
+
+// Re-fetch developers whose data is older than `days` and update them in their batch files
+async function refreshDevelopers(days = CONFIG.refreshAfterDays, limit = CONFIG.maxDevelopersPerRun) {
+    if (!GITHUB_TOKEN) {
+        console.error('Error: GITHUB_TOKEN environment variable is required');
+        console.error('Please set it: export GITHUB_TOKEN=your_token_here');
+        process.exit(1);
+    }
+    
+    console.log(`🔄 Refreshing developers downloaded more than ${days} days ago...`);
+    
+    const { remaining } = await checkRateLimit();
+    if (remaining < 100) {
+        console.error('❌ Rate limit too low. Please wait for reset.');
+        return;
+    }
+    
+    // Records without downloaded_at come from older runs and are refreshed first
+    const batches = loadAllBatches();
+    const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+    const stale = [];
+    batches.forEach(({ data }) => {
+        data.developers.forEach((developer, position) => {
+            const downloadedAt = developer.downloaded_at ? Date.parse(developer.downloaded_at) : 0;
+            if (downloadedAt < cutoff && !developer.not_found_at) {
+                stale.push({ batch: data, position, downloadedAt });
+            }
+        });
+    });
+    stale.sort((a, b) => a.downloadedAt - b.downloadedAt);
+    
+    const toRefresh = stale.slice(0, limit);
+    console.log(`📊 ${stale.length} stale developers, refreshing ${toRefresh.length} this run`);
+    
+    const progress = loadProgress();
+    const changelog = loadChangelog();
+    const touchedBatches = new Set();
+    const summary = { checked: 0, changed: 0, unchanged: 0, not_found: 0, failed: 0 };
+    
+    // Write updated batches and the changelog so an interrupted run keeps its work
+    const saveRefreshed = () => {
+        touchedBatches.forEach(batch => saveBatch(batch));
+        touchedBatches.clear();
+        saveChangelog(changelog);
+        progress.lastRefresh = { refreshed_at: new Date().toISOString(), days, ...summary };
+        saveProgress(progress);
+    };
+    
+    for (const { batch, position } of toRefresh) {
+        const previous = batch.developers[position];
+        summary.checked++;
+        
+        try {
+            console.log(`  🔎 Refreshing ${previous.login}...`);
+            const userResponse = await apiRequest(`/users/${previous.login}`);
+            const current = await buildDeveloperRecord(userResponse.data, previous);
+            const changes = diffDeveloper(previous, current);
+            
+            // Keep any extra fields the stored record has
+            batch.developers[position] = { ...previous, ...current };
+            touchedBatches.add(batch);
+            
+            if (Object.keys(changes).length > 0) {
+                summary.changed++;
+                changelog.entries.push({
+                    login: previous.login,
+                    batch: batch.batch,
+                    changed_at: current.downloaded_at,
+                    changes
+                });
+                console.log(`    ✏️  ${previous.login}: ${Object.keys(changes).join(', ')}`);
+            } else {
+                summary.unchanged++;
+                console.log(`    ✓ ${previous.login} unchanged`);
+            }
+        } catch (error) {
+            if (error.status === 404) {
+                // Deleted or renamed account; keep the record but stop refreshing it
+                summary.not_found++;
+                previous.not_found_at = new Date().toISOString();
+                touchedBatches.add(batch);
+                changelog.entries.push({
+                    login: previous.login,
+                    batch: batch.batch,
+                    changed_at: previous.not_found_at,
+                    changes: { status: { from: 'active', to: 'not-found' } }
+                });
+                console.log(`    ✗ ${previous.login} no longer exists`);
+            } else {
+                summary.failed++;
+                console.error(`    Error refreshing ${previous.login}:`, error.message);
+                if (error.rateLimited) break;
+            }
+        }
+        
+        if (summary.checked % 10 === 0) {
+            saveRefreshed();
+            
+            const { remaining: currentRemaining } = await checkRateLimit();
+            if (currentRemaining < 50) {
+                console.log('⚠️  Rate limit getting low, saving and exiting...');
+                break;
+            }
+        }
+        
+        await delay(CONFIG.requestDelayMs);
+    }
+    
+    saveRefreshed();
+    createIndex();
+    
+    console.log(`\n🎉 Refresh complete!`);
+    console.log(`📊 Checked ${summary.checked}: ${summary.changed} changed, ${summary.unchanged} unchanged, ${summary.not_found} not found, ${summary.failed} failed`);
+    console.log(`📊 ${stale.length - toRefresh.length} stale developers left for the next run`);
+}
+
+// Order two copies of a developer by when we fetched them, then by their GitHub updated_at
+// Copies from before downloaded_at was recorded count as the oldest.
+function compareFreshness(a, b) {
+    const fetched = (Date.parse(a.downloaded_at) || 0) - (Date.parse(b.downloaded_at) || 0);
+    if (fetched !== 0) return fetched;
+    return (Date.parse(a.updated_at) || 0) - (Date.parse(b.updated_at) || 0);
+}
+
+// Merge developers that appear more than once across the batch files
+// The freshest record (by downloaded_at, then updated_at) wins; fields only older copies have are kept.
+function dedupeDevelopers() {
+    console.log('🧹 Looking for duplicate developers across batches...');
+    
+    const batches = loadAllBatches();
+    const copiesByLogin = new Map();
+    batches.forEach(({ data }) => {
+        data.developers.forEach(developer => {
+            const key = developer.login.toLowerCase();
+            if (!copiesByLogin.has(key)) copiesByLogin.set(key, []);
+            copiesByLogin.get(key).push({ batch: data, developer });
+        });
+    });
+    
+    const touchedBatches = new Set();
+    let removed = 0;
+    
+    for (const copies of copiesByLogin.values()) {
+        if (copies.length < 2) continue;
+        
+        // Newest first (later batches win ties); the freshest copy keeps its values
+        // and older copies only fill in missing fields
+        copies.reverse().sort((a, b) => compareFreshness(b.developer, a.developer));
+        const freshest = copies[0];
+        const merged = { ...freshest.developer };
+        copies.slice(1).forEach(copy => {
+            Object.keys(copy.developer).forEach(key => {
+                if (!(key in merged)) merged[key] = copy.developer[key];
+            });
+        });
+        
+        for (const copy of copies) {
+            const position = copy.batch.developers.indexOf(copy.developer);
+            if (copy === freshest) {
+                copy.batch.developers[position] = merged;
+            } else {
+                copy.batch.developers.splice(position, 1);
+                removed++;
+            }
+            touchedBatches.add(copy.batch);
+        }
+        
+        const batchNumbers = copies.map(copy => copy.batch.batch).join(', ');
+        console.log(`  🔀 ${merged.login}: ${copies.length} copies in batches ${batchNumbers}, kept batch ${freshest.batch.batch}`);
+    }
+    
+    if (removed === 0) {
+        console.log('✅ No duplicates found');
+        return;
+    }
+    
+    touchedBatches.forEach(batch => saveBatch(batch));
+    
+    const progress = loadProgress();
+    progress.totalDevelopers = copiesByLogin.size;
+    saveProgress(progress);
+    createIndex();
+    
+    console.log(`\n✅ Removed ${removed} duplicate records, ${copiesByLogin.size} unique developers`);
+}
+
+// Geocode developers that have a location but no coordinates (or every developer with `force`)
+// Records geocoded before confidence scoring was added are redone as well.
+async function geocodeDevelopers(force = false) {
+    console.log('🌍 Geocoding developers in all batches...');
+    
+    let resolved = 0;
+    let unresolved = 0;
+    
+    for (const { data } of loadAllBatches()) {
+        let changed = false;
+        
+        for (const developer of data.developers) {
+            if (!developer.location) continue;
+            if (!force && developer.coordinates && developer.coordinates.confidence !== undefined) continue;
+            
+            const result = await geocodeLocation(developer.location);
+            developer.location_normalized = result.location_normalized;
+            developer.coordinates = result.coordinates;
+            Object.assign(developer, getRegion(result));
+            changed = true;
+            
+            if (result.coordinates) {
+                resolved++;
+            } else {
+                unresolved++;
+            }
+            
+            if ((resolved + unresolved) % 100 === 0) {
+                console.log(`  📍 ${resolved + unresolved} locations processed...`);
+            }
+        }
+        
+        if (changed) {
+            saveBatch(data);
+            saveGeocache();
+        }
+    }
+    
+    createIndex();
+    console.log(`\n✅ Geocoded ${resolved} developers, ${unresolved} locations could not be resolved`);
+}
+
+// Set country_code and admin1 on every geocoded developer again, e.g. after the boundaries changed
+// Coordinates are kept as they are; the geocoder (cached) only supplies its fallback country.
+async function assignRegions() {
+    console.log('🗺️  Assigning countries and states/provinces...');
+    if (!getRegionLookup()) {
+        console.log(`  ⚠️  No ${path.basename(CONFIG.boundariesFile)}, using the countries the geocoder reported`);
+    }
+    
+    let assigned = 0;
+    let withoutCountry = 0;
+    
+    for (const { data } of loadAllBatches()) {
+        for (const developer of data.developers) {
+            const result = developer.coordinates && developer.location
+                ? await geocodeLocation(developer.location)
+                : { country_code: null, admin1: null };
+            Object.assign(developer, getRegion({ ...result, coordinates: developer.coordinates }));
+            
+            if (developer.country_code) {
+                assigned++;
+            } else if (developer.coordinates) {
+                withoutCountry++;
+            }
+        }
+        saveBatch(data);
+    }
+    
+    saveGeocache();
+    createIndex();
+    console.log(`\n✅ Assigned ${assigned} developers to a country, ${withoutCountry} geocoded developers have no country`);
+}
+
+// Convert Natural Earth admin 0/admin 1 GeoJSON files into CONFIG.boundariesFile
+// and assign every developer to a region with the new polygons.
+async function buildBoundaries(files) {
+    if (!files || files.length === 0) {
+        throw new Error('boundaries needs Natural Earth GeoJSON files (--from countries.geojson,states.geojson)');
+    }
+    
+    const collections = files.map(file => JSON.parse(fs.readFileSync(file, 'utf8')));
+    const { collection, skipped } = convertBoundaries(collections, { precision: CONFIG.boundaryPrecision });
+    
+    fs.writeFileSync(CONFIG.boundariesFile, JSON.stringify(collection));
+    regionLookup = undefined;
+    
+    const countries = collection.features.filter(feature => feature.properties.level === 'country').length;
+    const subdivisions = collection.features.length - countries;
+    const size = (fs.statSync(CONFIG.boundariesFile).size / 1024 / 1024).toFixed(1);
+    console.log(`Wrote ${countries} countries and ${subdivisions} states/provinces to ${CONFIG.boundariesFile} (${size} MB)`);
+    if (skipped.length > 0) {
+        console.log(`  ⚠️  Skipped ${skipped.length} features without an ISO code: ${skipped.slice(0, 10).join(', ')}`);
+    }
+    
+    await assignRegions();
+}
+
+// Rewrite all developers into batches of `batchSize`, keeping their order
+// With `sourceFile` (e.g. developers-data.json) the developers are read from that file instead.
+function rebatchDevelopers(batchSize = CONFIG.developersPerFile, sourceFile = null) {
+    if (!Number.isInteger(batchSize) || batchSize < 1) {
+        throw new Error(`Batch size must be a positive whole number, got ${batchSize}`);
+    }
+    
+    const batches = loadAllBatches();
+    const developers = sourceFile
+        ? JSON.parse(fs.readFileSync(sourceFile, 'utf8')).developers
+        : batches.flatMap(({ data }) => data.developers);
+    
+    console.log(`📦 Splitting ${developers.length} developers into batches of ${batchSize}...`);
+    
+    let batchNumber = 0;
+    for (let i = 0; i < developers.length; i += batchSize) {
+        saveBatch({
+            schema_version: SCHEMA_VERSION,
+            batch: batchNumber++,
+            generated_at: new Date().toISOString(),
+            developers: developers.slice(i, i + batchSize),
+            total_in_batch: 0
+        });
+    }
+    
+    // New batches overwrite the old files with the same number; remove any old ones left over
+    batches
+        .map(({ file }) => file)
+        .filter(file => parseInt(file.match(/developers-batch-(\d+)\.json/)[1], 10) >= batchNumber)
+        .forEach(file => fs.unlinkSync(path.join(CONFIG.dataDir, file)));
+    
+    // Keep filling the last batch on the next fetch
+    const progress = loadProgress();
+    progress.currentBatch = Math.max(batchNumber - 1, 0);
+    progress.totalDevelopers = developers.length;
+    saveProgress(progress);
+    createIndex();
+    
+    console.log(`\n✅ Created ${batchNumber} batches`);
+}
+
+// Upgrade batch files and progress.json to the current schema version
+function migrateDataFiles() {
+    console.log(`🔧 Migrating data files to schema version ${SCHEMA_VERSION}...`);
+    
+    let migrated = 0;
+    for (const { file, data } of loadAllBatches(false)) {
+        const version = data.schema_version || 1;
+        if (version >= SCHEMA_VERSION) continue;
+        
+        console.log(`  ⬆️  ${file}: version ${version} -> ${SCHEMA_VERSION}`);
+        saveBatch(migrateBatch(data));
+        migrated++;
+    }
+    
+    saveProgress(loadProgress());
+    createIndex();
+    
+    console.log(migrated > 0
+        ? `\n✅ Migrated ${migrated} batch files`
+        : '\n✅ All batch files are already up to date');
+}
+
 // Run the download
+// `--refresh [days]` re-fetches stale developers instead of searching for new ones
+// `dedupe` merges developers that were saved into more than one batch
 if (require.main === module) {
-    downloadDevelopers().catch(console.error);
+    const args = process.argv.slice(2);
+    const refreshIndex = args.indexOf('--refresh');
+    
+    if (args[0] === 'dedupe') {
+        dedupeDevelopers();
+    } else if (refreshIndex !== -1) {
+        const days = parseInt(args[refreshIndex + 1], 10);
+        refreshDevelopers(isNaN(days) ? CONFIG.refreshAfterDays : days).catch(console.error);
+    } else {
+        downloadDevelopers().catch(console.error);
+    }
 }
 
-module.exports = { downloadDevelopers, CONFIG };
\ No newline at end of file
+module.exports = {
+    downloadDevelopers,
+    refreshDevelopers,
+    dedupeDevelopers,
+    geocodeDevelopers,
+    rebatchDevelopers,
+    migrateDataFiles,
+    assignRegions,
+    buildBoundaries,
+    createIndex,
+    loadAllBatches,
+    loadProgress,
+    getSearchStrategies,
+    CONFIG
+};
\ No newline at end of file
@@ -1,22 +1,12 @@
 const fs = require('fs');
-const https = require('https');
-
-// GitHub API configuration
-const GITHUB_API_BASE = 'https://api.github.com';
+const { createGitHubClient } = require('./github-client');
 
 // Your GitHub token (optional but increases rate limit to 5000/hour)
 // Set this as environment variable: export GITHUB_TOKEN=your_token_here
 const GITHUB_TOKEN = process.env.GITHUB_TOKEN;
 
-// Headers for API requests
-const headers = {
-    'User-Agent': 'GitHub-Developers-Map',
-    'Accept': 'application/vnd.github.v3+json'
-};
-
-if (GITHUB_TOKEN) {
-    headers['Authorization'] = `token ${GITHUB_TOKEN}`;
-}
+// GitHub API client (base URL can be overridden with GITHUB_API_URL)
+const github = createGitHubClient({ token: GITHUB_TOKEN });
 
 // Cities and search terms to collect developers from
 const SEARCH_QUERIES = [
@@ -87,27 +77,9 @@ const SEARCH_QUERIES = [
 ];
 
 // Make API request
-function apiRequest(path) {
-    return new Promise((resolve, reject) => {
-        const options = {
-            hostname: 'api.github.com',
-            path: path,
-            method: 'GET',
-            headers: headers
-        };
-
-        https.get(options, (res) => {
-            let data = '';
-            res.on('data', chunk => data += chunk);
-            res.on('end', () => {
-                if (res.statusCode === 200) {
-                    resolve(JSON.parse(data));
-                } else {
-                    reject(new Error(`API request failed: ${res.statusCode} - ${data}`));
-                }
-            });
-        }).on('error', reject);
-    });
+async function apiRequest(path) {
+    const response = await github.request(path);
+    return response.data;
 }
 
 // Delay function
@@ -0,0 +1,242 @@
+// Standard geodata formats for the developers: GeoJSON, KML and Mapbox vector tiles
+//
+// Written by the pipeline (`node cli.js index`) so the dataset can be opened in
+// QGIS, kepler.gl, Google Earth or a Mapbox/MapLibre style without the map's own
+// JSON files. Every format carries the same properties per developer; KML and
+// vector tiles only take plain values, so languages become "Rust,Go" there.
+
+const VECTOR_TILE_DEFAULTS = {
+    layer: 'developers',            // Layer name to use in a style's "source-layer"
+    minZoom: 0,
+    maxZoom: 6,
+    extent: 4096,                   // Tile coordinate range (the MVT default)
+    buffer: 64                      // Points this close to a tile's edge also go in the neighbouring tile
+};
+
+const MAX_LATITUDE = 85.0511287798; // Web Mercator stops here
+
+// Properties of a developer's feature
+function getFeatureProperties(dev) {
+    return {
+        login: dev.login,
+        name: dev.name || null,
+        html_url: dev.html_url || `https://github.com/${dev.login}`,
+        followers: dev.followers || 0,
+        stars: dev.total_stars ?? null,
+        languages: dev.top_languages || [],
+        location: dev.location_normalized || dev.location || null,
+        country_code: dev.country_code || null,
+        company: dev.company || null
+    };
+}
+
+// Property value for formats without arrays; null when there's nothing to say
+function toPlainValue(value) {
+    if (Array.isArray(value)) return value.length > 0 ? value.join(',') : null;
+    return value;
+}
+
+// GeoJSON FeatureCollection of the developers with coordinates
+function createGeoJson(developers) {
+    return {
+        type: 'FeatureCollection',
+        features: developers
+            .filter(dev => dev.coordinates)
+            .map(dev => ({
+                type: 'Feature',
+                geometry: { type: 'Point', coordinates: [dev.coordinates.lng, dev.coordinates.lat] },
+                properties: getFeatureProperties(dev)
+            }))
+    };
+}
+
+// Text safe to put in XML; control characters XML can't hold are dropped
+function escapeXml(value) {
+    return String(value)
+        .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// KML document with a placemark per developer with coordinates; properties go in ExtendedData
+function createKml(developers) {
+    const fieldTypes = { followers: 'int', stars: 'int' };
+    const fields = Object.keys(getFeatureProperties({ login: '' }));
+    
+    const placemarks = developers
+        .filter(dev => dev.coordinates)
+        .map(dev => {
+            const properties = getFeatureProperties(dev);
+            const data = fields
+                .filter(field => toPlainValue(properties[field]) !== null)
+                .map(field => `<SimpleData name="${field}">${escapeXml(toPlainValue(properties[field]))}</SimpleData>`)
+                .join('');
+            return [
+                '    <Placemark>',
+                `      <name>${escapeXml(properties.name || properties.login)}</name>`,
+                `      <description>${escapeXml(`@${properties.login} · ${properties.followers} followers · ${properties.html_url}`)}</description>`,
+                `      <ExtendedData><SchemaData schemaUrl="#developer">${data}</SchemaData></ExtendedData>`,
+                `      <Point><coordinates>${dev.coordinates.lng},${dev.coordinates.lat}</coordinates></Point>`,
+                '    </Placemark>'
+            ].join('\n');
+        });
+    
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<kml xmlns="http://www.opengis.net/kml/2.2">',
+        '  <Document>',
+        '    <name>GitHub developers</name>',
+        '    <Schema name="developer" id="developer">',
+        ...fields.map(field => `      <SimpleField name="${field}" type="${fieldTypes[field] || 'string'}"/>`),
+        '    </Schema>',
+        ...placemarks,
+        '  </Document>',
+        '</kml>',
+        ''
+    ].join('\n');
+}
+
+// Protocol buffer encoding, just the parts a vector tile needs
+
+// Unsigned varint
+function encodeVarint(value) {
+    const bytes = [];
+    while (value > 0x7f) {
+        bytes.push((value % 0x80) | 0x80);
+        value = Math.floor(value / 0x80);
+    }
+    bytes.push(value);
+    return Buffer.from(bytes);
+}
+
+// Varint field
+function varintField(field, value) {
+    return Buffer.concat([encodeVarint(field * 8), encodeVarint(value)]);
+}
+
+// Length-delimited field (strings, embedded messages)
+function bytesField(field, bytes) {
+    const buffer = typeof bytes === 'string' ? Buffer.from(bytes, 'utf8') : bytes;
+    return Buffer.concat([encodeVarint(field * 8 + 2), encodeVarint(buffer.length), buffer]);
+}
+
+// Packed repeated varint field
+function packedField(field, values) {
+    return bytesField(field, Buffer.concat(values.map(encodeVarint)));
+}
+
+// Signed integer as a varint-friendly unsigned one
+function zigzag(value) {
+    return value < 0 ? -2 * value - 1 : 2 * value;
+}
+
+// Vector tile Value message: strings, whole numbers >= 0, or doubles
+function encodeValue(value) {
+    if (typeof value === 'string') return bytesField(1, value);
+    if (Number.isInteger(value) && value >= 0) return varintField(5, value);
+    
+    const double = Buffer.alloc(8);
+    double.writeDoubleLE(value);
+    return Buffer.concat([encodeVarint(3 * 8 + 1), double]);
+}
+
+// Vector tile (MVT 2.1) with one layer of point features
+// features: [{ id, x, y, properties }] with x/y in tile coordinates (0..extent)
+function encodeVectorTile(layerName, features, extent) {
+    const keys = [];
+    const keyIndexes = new Map();
+    const values = [];
+    const valueIndexes = new Map();
+    const indexOf = (list, indexes, item, id) => {
+        if (!indexes.has(id)) {
+            indexes.set(id, list.length);
+            list.push(item);
+        }
+        return indexes.get(id);
+    };
+    
+    const encodedFeatures = features.map(feature => {
+        const tags = [];
+        for (const [key, value] of Object.entries(feature.properties)) {
+            const plain = toPlainValue(value);
+            if (plain === null || plain === undefined) continue;
+            tags.push(
+                indexOf(keys, keyIndexes, key, key),
+                indexOf(values, valueIndexes, plain, `${typeof plain}:${plain}`)
+            );
+        }
+        
+        return bytesField(2, Buffer.concat([
+            varintField(1, feature.id),
+            packedField(2, tags),
+            varintField(3, 1), // POINT
+            // MoveTo (command 1) once, then the point
+            packedField(4, [(1 & 0x7) | (1 << 3), zigzag(feature.x), zigzag(feature.y)])
+        ]));
+    });
+    
+    const layer = Buffer.concat([
+        varintField(15, 2), // Version
+        bytesField(1, layerName),
+        ...encodedFeatures,
+        ...keys.map(key => bytesField(3, key)),
+        ...values.map(value => bytesField(4, encodeValue(value))),
+        varintField(5, extent)
+    ]);
+    return bytesField(3, layer);
+}
+
+// Web Mercator position of a point as fractions of the world, 0..1 from the top left
+function projectToWorld({ lat, lng }) {
+    const latitude = Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, lat)) * Math.PI / 180;
+    return {
+        x: (lng + 180) / 360,
+        y: (1 - Math.log(Math.tan(latitude) + 1 / Math.cos(latitude)) / Math.PI) / 2
+    };
+}
+
+// Vector tile pyramid for the developers with coordinates, most followed first in every tile
+// Returns a Map of "z/x/y" to the encoded tile.
+function createVectorTiles(developers, options = {}) {
+    const { layer, minZoom, maxZoom, extent, buffer } = { ...VECTOR_TILE_DEFAULTS, ...options };
+    const located = developers
+        .filter(dev => dev.coordinates)
+        .sort((a, b) => (b.followers || 0) - (a.followers || 0))
+        .map((dev, i) => ({ id: i + 1, world: projectToWorld(dev.coordinates), properties: getFeatureProperties(dev) }));
+    
+    const tiles = new Map();
+    for (let zoom = minZoom; zoom <= maxZoom; zoom++) {
+        const size = 2 ** zoom;
+        const features = new Map();
+        
+        for (const dev of located) {
+            // Position in tile coordinates across the whole world at this zoom
+            const worldX = dev.world.x * size * extent;
+            const worldY = dev.world.y * size * extent;
+            const firstX = Math.max(0, Math.floor((worldX - buffer) / extent));
+            const lastX = Math.min(size - 1, Math.floor((worldX + buffer) / extent));
+            const firstY = Math.max(0, Math.floor((worldY - buffer) / extent));
+            const lastY = Math.min(size - 1, Math.floor((worldY + buffer) / extent));
+            
+            for (let x = firstX; x <= lastX; x++) {
+                for (let y = firstY; y <= lastY; y++) {
+                    const key = `${zoom}/${x}/${y}`;
+                    if (!features.has(key)) features.set(key, []);
+                    features.get(key).push({
+                        id: dev.id,
+                        x: Math.round(worldX - x * extent),
+                        y: Math.round(worldY - y * extent),
+                        properties: dev.properties
+                    });
+                }
+            }
+        }
+        
+        features.forEach((tileFeatures, key) => tiles.set(key, encodeVectorTile(layer, tileFeatures, extent)));
+    }
+    return tiles;
+}
+
+module.exports = { VECTOR_TILE_DEFAULTS, getFeatureProperties, createGeoJson, createKml, encodeVectorTile, createVectorTiles };
@@ -0,0 +1,116 @@
+const fs = require('fs');
+
+// Disk-backed cache of geocoding results (data/geocache.json)
+//
+// Entries are keyed by a normalized location string and record whether the
+// lookup was a hit or a miss, which provider resolved it and when. The file is
+// sorted by key so bad resolutions can be audited and fixed by hand; set
+// "source": "manual" on an edited entry to keep it from being re-resolved.
+
+const GEOCACHE_VERSION = 1;
+
+// Normalize a location string into a cache key
+function getGeocacheKey(location) {
+    return location.trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+// Load a geocache file, or start an empty one
+function createGeocache(file, options = {}) {
+    const missTtlDays = options.missTtlDays ?? 30;
+    let entries = {};
+    
+    if (fs.existsSync(file)) {
+        const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+        entries = data.entries || {};
+    }
+    
+    const stats = { reused: 0, added: 0 };
+    
+    // Misses are retried once they're older than missTtlDays
+    function isFresh(entry) {
+        if (entry.status === 'hit' || entry.source === 'manual') return true;
+        const age = Date.now() - new Date(entry.resolved_at).getTime();
+        return age < missTtlDays * 24 * 60 * 60 * 1000;
+    }
+    
+    function has(location) {
+        const entry = entries[getGeocacheKey(location)];
+        return Boolean(entry) && isFresh(entry);
+    }
+    
+    function get(location) {
+        const entry = entries[getGeocacheKey(location)];
+        if (!entry || !isFresh(entry)) return undefined;
+        
+        entry.lookups = (entry.lookups || 0) + 1;
+        stats.reused++;
+        
+        if (entry.status !== 'hit') return null;
+        
+        // Gazetteer entries cached before admin1 was recorded can rebuild it
+        const admin1 = entry.admin1 ||
+            (entry.source === 'gazetteer' && entry.country && entry.region ? `${entry.country}-${entry.region}` : null);
+        return {
+            lat: entry.lat,
+            lng: entry.lng,
+            source: entry.source,
+            type: entry.type || null,
+            name: entry.name || null,
+            country: entry.country || null,
+            country_name: entry.country_name || null,
+            region: entry.region || null,
+            admin1
+        };
+    }
+    
+    function set(location, result) {
+        const key = getGeocacheKey(location);
+        const previous = entries[key];
+        
+        entries[key] = result
+            ? {
+                location: location,
+                status: 'hit',
+                source: result.source,
+                lat: result.lat,
+                lng: result.lng,
+                type: result.type || null,
+                name: result.name || null,
+                country: result.country || null,
+                country_name: result.country_name || null,
+                region: result.region || null,
+                admin1: result.admin1 || null,
+                resolved_at: new Date().toISOString(),
+                lookups: previous ? previous.lookups || 0 : 0
+            }
+            : {
+                location: location,
+                status: 'miss',
+                source: null,
+                resolved_at: new Date().toISOString(),
+                lookups: previous ? previous.lookups || 0 : 0
+            };
+        stats.added++;
+    }
+    
+    function save() {
+        const sorted = {};
+        for (const key of Object.keys(entries).sort()) {
+            sorted[key] = entries[key];
+        }
+        
+        const values = Object.values(sorted);
+        fs.writeFileSync(file, JSON.stringify({
+            version: GEOCACHE_VERSION,
+            updated_at: new Date().toISOString(),
+            total_entries: values.length,
+            total_hits: values.filter(entry => entry.status === 'hit').length,
+            total_misses: values.filter(entry => entry.status !== 'hit').length,
+            entries: sorted
+        }, null, 2));
+    }
+    
+    return { has, get, set, save, stats };
+}
+
+module.exports = { createGeocache, getGeocacheKey };
@@ -0,0 +1,262 @@
+// Geocoding with interchangeable providers
+//
+// Shared by the downloader (Node) and the map (browser) so both resolve
+// locations the same way. A provider is an object with a `name` and an async
+// `geocode(location)` method resolving to { lat, lng, source, ... } or null.
+
+// Characters that don't decompose into a base letter + accent
+const SPECIAL_LETTERS = {
+    'ł': 'l', 'ø': 'o', 'æ': 'ae', 'œ': 'oe', 'ß': 'ss', 'đ': 'd', 'ı': 'i', 'þ': 'th'
+};
+
+// Nominatim address types mapped onto the place types used by the gazetteer
+const NOMINATIM_PLACE_TYPES = {
+    city: 'city',
+    town: 'city',
+    village: 'city',
+    municipality: 'city',
+    suburb: 'city',
+    borough: 'city',
+    county: 'region',
+    state: 'region',
+    province: 'region',
+    region: 'region',
+    country: 'country'
+};
+
+// Lowercase, strip accents and punctuation; commas and slashes are kept as separators
+function normalizePlaceText(text) {
+    return String(text)
+        .toLowerCase()
+        .replace(/[łøæœßđıþ]/g, letter => SPECIAL_LETTERS[letter])
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/\./g, '')
+        .replace(/[^\p{L}\p{N},/|;]+/gu, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Scripts written without spaces between words can't use word-boundary matching
+function isUnspacedScript(phrase) {
+    return /[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af]/.test(phrase);
+}
+
+// Prepare gazetteer entries for matching
+function indexGazetteerEntries(entries, type) {
+    return (entries || []).map((entry, rank) => ({
+        entry,
+        type,
+        rank,
+        phrases: [entry.name, ...(entry.aliases || [])].map(normalizePlaceText).filter(Boolean),
+        codes: (entry.codes || []).map(normalizePlaceText)
+    }));
+}
+
+// Find all entries whose name, alias or code appears in the location
+function findGazetteerMatches(indexed, text, segments) {
+    const padded = ` ${text.replace(/[,/|;]/g, ' ').replace(/\s+/g, ' ')} `;
+    const matches = [];
+    
+    for (const item of indexed) {
+        let length = 0;
+        
+        for (const phrase of item.phrases) {
+            const found = isUnspacedScript(phrase)
+                ? text.includes(phrase)
+                : padded.includes(` ${phrase} `);
+            if (found) length = Math.max(length, phrase.length);
+        }
+        
+        // Short codes like "CA" or "LA" only count as a whole segment ("Portland, OR")
+        for (const code of item.codes) {
+            if (segments.includes(code)) length = Math.max(length, code.length);
+        }
+        
+        if (length > 0) {
+            matches.push({ ...item, length });
+        }
+    }
+    
+    return matches;
+}
+
+// Pick the most specific match that agrees with the other matched places
+function pickBestMatch(matches, consistency) {
+    return matches
+        .map(match => ({ ...match, score: consistency(match.entry) }))
+        .sort((a, b) => (b.score - a.score) || (b.length - a.length) || (a.rank - b.rank))[0] || null;
+}
+
+// Offline provider backed by the bundled gazetteer (data/gazetteer.json)
+function createGazetteerProvider(gazetteer) {
+    const countries = indexGazetteerEntries(gazetteer.countries, 'country');
+    const regions = indexGazetteerEntries(gazetteer.regions, 'region');
+    const cities = indexGazetteerEntries(gazetteer.cities, 'city');
+    const countriesByCode = new Map(countries.map(item => [item.entry.code, item.entry]));
+    
+    function toResult(match) {
+        const entry = match.entry;
+        const countryCode = match.type === 'country' ? entry.code : entry.country;
+        const country = countriesByCode.get(countryCode);
+        const region = match.type === 'region' ? entry.code : (entry.region || null);
+        
+        return {
+            lat: entry.lat,
+            lng: entry.lng,
+            source: 'gazetteer',
+            type: match.type,
+            name: entry.name,
+            country: countryCode,
+            country_name: country ? country.name : null,
+            region,
+            // ISO 3166-2 subdivision code, e.g. "US-CA"
+            admin1: region ? `${countryCode}-${region}` : null
+        };
+    }
+    
+    return {
+        name: 'gazetteer',
+        
+        async geocode(location) {
+            const text = normalizePlaceText(location);
+            if (!text) return null;
+            
+            const segments = text.split(/[,/|;]/).map(segment => segment.trim()).filter(Boolean);
+            const countryMatches = findGazetteerMatches(countries, text, segments);
+            const regionMatches = findGazetteerMatches(regions, text, segments);
+            const cityMatches = findGazetteerMatches(cities, text, segments);
+            
+            const countryCodes = new Set(countryMatches.map(match => match.entry.code));
+            const regionKeys = new Set(regionMatches.map(match => `${match.entry.country}-${match.entry.code}`));
+            
+            const consistency = entry => {
+                let score = 0;
+                if (entry.region && regionKeys.has(`${entry.country}-${entry.region}`)) score += 2;
+                if (countryCodes.has(entry.country)) score += 1;
+                return score;
+            };
+            
+            // Whether a state/province or country match is where a city is
+            // A city without a region agrees with any region of its country.
+            const agrees = (city, match) => match.type === 'country'
+                ? match.entry.code === city.entry.country
+                : match.entry.country === city.entry.country && (!city.entry.region || match.entry.code === city.entry.region);
+            
+            // A city nothing else in the location supports loses when another part names somewhere else:
+            // "London, Ontario" is not London, GB, so Ontario is used instead
+            const contradicted = city => segments.some(segment => {
+                if (findGazetteerMatches([city], segment, [segment]).length > 0) return false;
+                const named = [...regionMatches, ...countryMatches]
+                    .filter(match => findGazetteerMatches([match], segment, [segment]).length > 0);
+                return named.length > 0 && !named.some(match => agrees(city, match));
+            });
+            
+            let best = pickBestMatch(cityMatches, consistency);
+            if (best && best.score === 0 && contradicted(best)) best = null;
+            best = best ||
+                pickBestMatch(regionMatches, consistency) ||
+                pickBestMatch(countryMatches, () => 0);
+            
+            return best ? toResult(best) : null;
+        }
+    };
+}
+
+// Fetch JSON with the global fetch (browsers, Node 18+)
+async function fetchJsonWithFetch(url, headers) {
+    const response = await fetch(url, { headers });
+    if (!response.ok) {
+        throw new Error(`Request failed: ${response.status}`);
+    }
+    return response.json();
+}
+
+// Online provider using OpenStreetMap's Nominatim service
+// Requests are spaced out to respect Nominatim's 1 request/second policy.
+function createNominatimProvider(options = {}) {
+    const baseUrl = options.baseUrl || 'https://nominatim.openstreetmap.org';
+    const minIntervalMs = options.minIntervalMs ?? 1000;
+    const fetchJson = options.fetchJson || fetchJsonWithFetch;
+    let nextRequestAt = 0;
+    
+    return {
+        name: 'nominatim',
+        
+        async geocode(location) {
+            const now = Date.now();
+            const requestAt = Math.max(now, nextRequestAt);
+            nextRequestAt = requestAt + minIntervalMs;
+            if (requestAt > now) {
+                await new Promise(resolve => setTimeout(resolve, requestAt - now));
+            }
+            
+            const query = encodeURIComponent(location.trim());
+            const url = `${baseUrl}/search?format=json&addressdetails=1&limit=1&q=${query}`;
+            const results = await fetchJson(url, { 'User-Agent': 'GitHub-Developers-Map' });
+            
+            if (!results || results.length === 0) {
+                return null;
+            }
+            
+            const result = results[0];
+            const address = result.address || {};
+            
+            return {
+                lat: parseFloat(result.lat),
+                lng: parseFloat(result.lon),
+                source: 'nominatim',
+                type: NOMINATIM_PLACE_TYPES[result.addresstype] || null,
+                name: result.display_name,
+                country: address.country_code ? address.country_code.toUpperCase() : null,
+                country_name: address.country || null,
+                region: address.state || null,
+                admin1: address['ISO3166-2-lvl4'] || null
+            };
+        }
+    };
+}
+
+// Combine providers; the first one returning a result wins
+// `options.cache` can be any object with has/get/set (a Map by default).
+function createGeocoder(providers, options = {}) {
+    const cache = options.cache || new Map();
+    
+    async function geocode(location) {
+        if (!location || location.trim() === '') return null;
+        
+        const key = location.trim();
+        if (cache.has(key)) {
+            return cache.get(key);
+        }
+        
+        let result = null;
+        let failed = false;
+        for (const provider of providers) {
+            try {
+                result = await provider.geocode(key);
+            } catch (error) {
+                failed = true;
+                console.log(`❌ ${provider.name} geocoding failed for "${key}": ${error.message}`);
+            }
+            if (result) break;
+        }
+        
+        // Don't remember a miss caused by a provider error, it may succeed next time
+        if (result || !failed) {
+            cache.set(key, result);
+        }
+        return result;
+    }
+    
+    return { providers, geocode };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        createGeocoder,
+        createGazetteerProvider,
+        createNominatimProvider,
+        normalizePlaceText
+    };
+}
@@ -0,0 +1,236 @@
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+
+// GitHub REST API client shared by the download scripts
+//
+// - Base URL is configurable (GITHUB_API_URL), e.g. a GitHub Enterprise host or a local mock server
+// - Network errors and 5xx responses are retried with exponential backoff
+// - Primary rate limits wait for X-RateLimit-Reset, secondary limits honour Retry-After
+// - Responses can be cached by ETag; a 304 Not Modified doesn't count against the rate limit
+
+const DEFAULT_BASE_URL = 'https://api.github.com';
+
+// Delay function
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Rate limits are tracked per resource; search has its own 30 requests/minute budget
+function getRateLimitResource(apiPath) {
+    if (apiPath.startsWith('/rate_limit')) return null;
+    return apiPath.startsWith('/search/') ? 'search' : 'core';
+}
+
+// ETag cache persisted as JSON, so unchanged responses are free on the next run too
+function createEtagCache(file) {
+    let entries = {};
+    try {
+        if (fs.existsSync(file)) {
+            entries = JSON.parse(fs.readFileSync(file, 'utf8')).entries || {};
+        }
+    } catch (error) {
+        console.log(`⚠️  Could not read ETag cache ${file}: ${error.message}`);
+    }
+    
+    return {
+        get(key) {
+            return entries[key];
+        },
+        
+        set(key, entry) {
+            entries[key] = entry;
+        },
+        
+        save() {
+            const sorted = {};
+            Object.keys(entries).sort().forEach(key => {
+                sorted[key] = entries[key];
+            });
+            fs.writeFileSync(file, JSON.stringify({
+                updated_at: new Date().toISOString(),
+                total_entries: Object.keys(sorted).length,
+                entries: sorted
+            }, null, 2));
+        }
+    };
+}
+
+// Create a client
+// options: token, baseUrl, userAgent, maxRetries, retryDelayMs, maxRetryDelayMs,
+//          maxRateLimitWaitMs, timeoutMs, etagCache (get/set), cacheable(path)
+function createGitHubClient(options = {}) {
+    const baseUrl = (options.baseUrl || process.env.GITHUB_API_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+    const maxRetries = options.maxRetries ?? 5;
+    const retryDelayMs = options.retryDelayMs ?? 1000;
+    const maxRetryDelayMs = options.maxRetryDelayMs ?? 60000;
+    const maxRateLimitWaitMs = options.maxRateLimitWaitMs ?? 60 * 60 * 1000;
+    const timeoutMs = options.timeoutMs ?? 30000;
+    const etagCache = options.etagCache || null;
+    const cacheable = options.cacheable || (() => true);
+    
+    const headers = {
+        'User-Agent': options.userAgent || 'GitHub-Developers-Map',
+        'Accept': 'application/vnd.github.v3+json'
+    };
+    if (options.token) {
+        headers['Authorization'] = `token ${options.token}`;
+    }
+    
+    // Last known limits per resource: { remaining, limit, reset (epoch seconds) }
+    const rateLimits = {};
+    const stats = { requests: 0, notModified: 0, retries: 0, rateLimitWaits: 0 };
+    
+    // Single HTTP GET, resolving to { status, headers, body } for any status code
+    function send(apiPath, requestHeaders) {
+        const url = new URL(baseUrl + apiPath);
+        const transport = url.protocol === 'http:' ? http : https;
+        
+        return new Promise((resolve, reject) => {
+            const req = transport.get(url, { headers: requestHeaders }, (res) => {
+                let body = '';
+                res.setEncoding('utf8');
+                res.on('data', chunk => body += chunk);
+                res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body }));
+            });
+            req.setTimeout(timeoutMs, () => {
+                req.destroy(new Error(`Request timed out after ${timeoutMs}ms`));
+            });
+            req.on('error', reject);
+        });
+    }
+    
+    // Remember rate limit headers so the next request can wait before hitting the limit
+    function recordRateLimit(apiPath, responseHeaders) {
+        if (responseHeaders['x-ratelimit-remaining'] === undefined) return;
+        
+        const resource = responseHeaders['x-ratelimit-resource'] || getRateLimitResource(apiPath);
+        if (!resource) return;
+        
+        rateLimits[resource] = {
+            remaining: parseInt(responseHeaders['x-ratelimit-remaining'], 10),
+            limit: parseInt(responseHeaders['x-ratelimit-limit'], 10),
+            reset: parseInt(responseHeaders['x-ratelimit-reset'], 10)
+        };
+    }
+    
+    // Sleep until the rate limit resets, or fail if that's too far away
+    async function waitForReset(resource, resetSeconds) {
+        const waitMs = Math.max(0, resetSeconds * 1000 - Date.now()) + 1000;
+        if (waitMs > maxRateLimitWaitMs) {
+            const error = new Error(`Rate limit exhausted for ${resource}, resets at ${new Date(resetSeconds * 1000).toLocaleTimeString()}`);
+            error.status = 403;
+            error.rateLimited = true;
+            throw error;
+        }
+        
+        stats.rateLimitWaits++;
+        console.log(`⏳ ${resource} rate limit reached, waiting ${Math.ceil(waitMs / 1000)}s for reset...`);
+        await delay(waitMs);
+        delete rateLimits[resource];
+    }
+    
+    // How long to wait before retrying a failed response; null if it shouldn't be retried
+    function getRetryDelay(response, attempt) {
+        const backoff = Math.min(maxRetryDelayMs, retryDelayMs * 2 ** attempt) * (0.75 + Math.random() * 0.5);
+        
+        if (!response) return backoff; // Network error
+        if (response.status >= 500) return backoff;
+        
+        if (response.status === 403 || response.status === 429) {
+            // Secondary rate limit: GitHub asks to wait Retry-After seconds, or at least a minute
+            const retryAfter = parseInt(response.headers['retry-after'], 10);
+            if (!isNaN(retryAfter)) return retryAfter * 1000;
+            if (/secondary rate limit|abuse/i.test(response.body)) return Math.max(60000, backoff);
+        }
+        
+        return null;
+    }
+    
+    // GET an API path, resolving to { status, data, headers, cached }
+    async function request(apiPath) {
+        const resource = getRateLimitResource(apiPath);
+        const useCache = etagCache && cacheable(apiPath);
+        let attempt = 0;
+        
+        while (true) {
+            const known = resource && rateLimits[resource];
+            if (known && known.remaining <= 0 && known.reset * 1000 > Date.now()) {
+                await waitForReset(resource, known.reset);
+            }
+            
+            const cached = useCache ? etagCache.get(apiPath) : null;
+            const requestHeaders = cached ? { ...headers, 'If-None-Match': cached.etag } : headers;
+            
+            let response = null;
+            let networkError = null;
+            try {
+                stats.requests++;
+                response = await send(apiPath, requestHeaders);
+                recordRateLimit(apiPath, response.headers);
+            } catch (error) {
+                networkError = error;
+            }
+            
+            if (response && response.status === 304 && cached) {
+                stats.notModified++;
+                return { status: 304, data: cached.data, headers: response.headers, cached: true };
+            }
+            
+            if (response && response.status >= 200 && response.status < 300) {
+                const data = response.body ? JSON.parse(response.body) : null;
+                if (useCache && response.headers.etag) {
+                    etagCache.set(apiPath, {
+                        etag: response.headers.etag,
+                        data,
+                        cached_at: new Date().toISOString()
+                    });
+                }
+                return { status: response.status, data, headers: response.headers, cached: false };
+            }
+            
+            // Primary rate limit: wait for the reset and try again, counting the wait as an attempt
+            const reset = response ? parseInt(response.headers['x-ratelimit-reset'], 10) : NaN;
+            if ((response?.status === 403 || response?.status === 429) &&
+                response.headers['x-ratelimit-remaining'] === '0' && !isNaN(reset)) {
+                if (attempt >= maxRetries) {
+                    const error = new Error(`Rate limit still exhausted for ${apiPath} after ${attempt} waits`);
+                    error.status = response.status;
+                    error.headers = response.headers;
+                    error.rateLimited = true;
+                    throw error;
+                }
+                
+                attempt++;
+                await waitForReset(resource || 'core', reset);
+                continue;
+            }
+            
+            const retryDelay = getRetryDelay(response, attempt);
+            if (retryDelay === null || attempt >= maxRetries) {
+                const error = networkError || new Error(`API request failed: ${response.status} - ${response.body}`);
+                if (response) {
+                    error.status = response.status;
+                    error.headers = response.headers;
+                }
+                throw error;
+            }
+            
+            attempt++;
+            stats.retries++;
+            const reason = networkError ? networkError.message : `HTTP ${response.status}`;
+            console.log(`🔁 ${reason} for ${apiPath}, retry ${attempt}/${maxRetries} in ${Math.ceil(retryDelay / 1000)}s`);
+            await delay(retryDelay);
+        }
+    }
+    
+    // Fetch current rate limits; /rate_limit itself is free
+    async function getRateLimit() {
+        const response = await request('/rate_limit');
+        return response.data.resources || { core: response.data.rate };
+    }
+    
+    return { baseUrl, request, getRateLimit, rateLimits, stats };
+}
+
+module.exports = { createGitHubClient, createEtagCache };
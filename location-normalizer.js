@@ -0,0 +1,192 @@
+// Location string normalization and confidence scoring
+//
+// GitHub `location` values are free text: "Earth", "Remote", "🇩🇪",
+// "SF Bay Area / NYC", "localhost". normalizeLocation() cleans them up, splits
+// multi-location strings and detects non-places; resolveLocation() geocodes
+// the result and scores how much the coordinates can be trusted.
+// Shared by the downloader (Node) and the map (browser).
+
+// Separators between several locations ("SF / NYC", "Berlin & London")
+const MULTI_LOCATION_SEPARATOR = /\s*[/|;&+•·→↔]\s*|\s+(?:and|or)\s+/;
+
+// Words that carry no place information on their own
+const FILLER_WORDS = new Set([
+    'the', 'a', 'an', 'of', 'in', 'on', 'at', 'from', 'my', 'your', 'our', 's',
+    'planet', 'currently', 'mostly', 'usually', 'based', 'living', 'sector', 'core'
+]);
+
+// Values that are jokes or placeholders rather than places
+const NON_PLACE_PHRASES = new Set([
+    'remote', 'remotely', 'worldwide', 'world wide', 'world', 'globe', 'global', 'international',
+    'everywhere', 'anywhere', 'nowhere', 'somewhere', 'here', 'there', 'home',
+    'earth', 'moon', 'mars', 'milky way', 'universe', 'space', 'outer space', 'solar system',
+    'internet', 'web', 'world wide web', 'www', 'online', 'virtual', 'cloud', 'cyberspace',
+    'metaverse', 'matrix', 'localhost', 'github', 'ethereum', 'blockchain', 'ethereum blockchain',
+    'digital nomad', 'nomad', 'various', 'various places', 'travelling', 'traveling', 'road',
+    'heart', 'computer', 'undefined', 'null', 'nil', 'none', 'n a', 'na', 'unknown', 'error',
+    'error unable to resolve'
+]);
+
+// Confidence by how precise the geocoded place is
+const PRECISION_CONFIDENCE = { city: 0.9, region: 0.6, country: 0.4 };
+
+// Confidence multiplier by geocoding source
+const SOURCE_CONFIDENCE = { manual: 1, gazetteer: 1, nominatim: 0.9 };
+
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)\S+/gi;
+const EMAIL_PATTERN = /\S+@\S+\.\S+/g;
+const HANDLE_PATTERN = /(^|\s)@\S+/g;
+const FLAG_PATTERN = /[\u{1F1E6}-\u{1F1FF}]{2}/gu;
+const EMOJI_PATTERN = /[\p{Extended_Pictographic}\u{FE0F}\u{200D}\u{20E3}]/gu;
+const IP_ADDRESS_PATTERN = /^\d{1,3}(?:\.\d{1,3}){3}(?::\d+)?$/;
+const FILE_PATH_PATTERN = /^[~/](?:[\w.-]+\/?)*$/;
+
+let regionNames = null;
+
+// Turn a flag emoji into the English country name ("🇩🇪" -> "Germany")
+function flagToCountryName(flag) {
+    const code = Array.from(flag)
+        .map(char => String.fromCharCode(char.codePointAt(0) - 0x1F1E6 + 65))
+        .join('');
+    
+    try {
+        if (!regionNames && typeof Intl !== 'undefined' && Intl.DisplayNames) {
+            regionNames = new Intl.DisplayNames(['en'], { type: 'region' });
+        }
+        return regionNames ? regionNames.of(code) : '';
+    } catch (error) {
+        return '';
+    }
+}
+
+// Check for machine-looking placeholders like "127.0.0.1" or "/dev/null"
+function isPlaceholder(text) {
+    const trimmed = text.trim();
+    return IP_ADDRESS_PATTERN.test(trimmed) || FILE_PATH_PATTERN.test(trimmed);
+}
+
+// Check whether a piece of a location string is a placeholder rather than a place
+function isNonPlace(text) {
+    if (isPlaceholder(text)) {
+        return true;
+    }
+    
+    const words = text
+        .trim()
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .split(' ')
+        .filter(word => word && !FILLER_WORDS.has(word));
+    
+    return words.length === 0 || NON_PLACE_PHRASES.has(words.join(' '));
+}
+
+// Clean one location, dropping comma-separated pieces that aren't places
+function cleanLocationPart(part) {
+    const pieces = part
+        .split(',')
+        .map(piece => piece.trim().replace(/^[\s\-–—:.!?*"']+|[\s\-–—:.!?*"']+$/g, ''))
+        .filter(piece => piece && !isNonPlace(piece));
+    
+    return pieces.join(', ');
+}
+
+// Clean and split a raw GitHub location string
+function normalizeLocation(location) {
+    const original = location == null ? '' : String(location);
+    
+    if (original.trim() === '') {
+        return { original, parts: [], is_place: false, noisy: false, reason: 'empty' };
+    }
+    
+    // Checked before splitting, "/dev/null" would otherwise be split on "/"
+    if (isPlaceholder(original)) {
+        return { original, parts: [], is_place: false, noisy: false, reason: 'not-a-place' };
+    }
+    
+    // Flags become country names unless the country is already spelled out
+    const withFlags = original.replace(FLAG_PATTERN, flag => {
+        const country = flagToCountryName(flag);
+        return country && !original.toLowerCase().includes(country.toLowerCase()) ? ` ${country} ` : ' ';
+    });
+    const withoutNoise = withFlags
+        .replace(URL_PATTERN, ' ')
+        .replace(EMAIL_PATTERN, ' ')
+        .replace(HANDLE_PATTERN, ' ')
+        .replace(EMOJI_PATTERN, ' ');
+    const noisy = withoutNoise.trim() !== original.trim();
+    
+    // "Berlin (remote)" is treated like "Berlin, remote"
+    const parts = withoutNoise
+        .replace(/[()[\]{}]/g, ',')
+        .replace(/\s+/g, ' ')
+        .split(MULTI_LOCATION_SEPARATOR)
+        .map(cleanLocationPart)
+        .filter(Boolean);
+    
+    if (parts.length === 0) {
+        return { original, parts: [], is_place: false, noisy, reason: 'not-a-place' };
+    }
+    
+    return { original, parts, is_place: true, noisy, reason: null };
+}
+
+// Score a geocoding result
+// `ambiguous`: the location names several places; `noisy`: emoji, URLs or handles were stripped
+function scoreGeocodeResult(result, { ambiguous = false, noisy = false } = {}) {
+    const precision = result.type || 'city';
+    let confidence = (PRECISION_CONFIDENCE[precision] || 0.5) * (SOURCE_CONFIDENCE[result.source] || 0.8);
+    
+    if (ambiguous) confidence *= 0.7;
+    if (noisy) confidence *= 0.9;
+    
+    return { precision, confidence: Math.round(confidence * 100) / 100 };
+}
+
+// Normalize and geocode a location; `geocoder` is anything with geocode(text)
+async function resolveLocation(location, geocoder) {
+    const normalized = normalizeLocation(location);
+    
+    if (!normalized.is_place) {
+        return { location_normalized: null, coordinates: null, country_code: null, admin1: null, reason: normalized.reason };
+    }
+    
+    // Try up to three parts and stop at the first that resolves; each lookup may be a
+    // rate-limited request (Nominatim allows one a second), so the rest aren't looked up
+    let resolved = null;
+    for (const part of normalized.parts.slice(0, 3)) {
+        const result = await geocoder.geocode(part);
+        if (result) {
+            resolved = { part, result };
+            break;
+        }
+    }
+    
+    if (!resolved) {
+        return { location_normalized: normalized.parts[0], coordinates: null, country_code: null, admin1: null, reason: 'not-found' };
+    }
+    
+    // "SF / NYC" names several places; which one is meant can't be told
+    const { part, result } = resolved;
+    const ambiguous = normalized.parts.length > 1;
+    const { precision, confidence } = scoreGeocodeResult(result, { ambiguous, noisy: normalized.noisy });
+    
+    return {
+        location_normalized: part,
+        coordinates: {
+            lat: result.lat,
+            lng: result.lng,
+            precision,
+            confidence,
+            source: result.source
+        },
+        country_code: result.country || null,
+        // A country-level result says nothing about the state or province
+        admin1: precision === 'country' ? null : (result.admin1 || null),
+        reason: null
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { normalizeLocation, scoreGeocodeResult, resolveLocation };
+}
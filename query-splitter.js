@@ -0,0 +1,98 @@
+// Split GitHub user searches that match more than the 1,000 results search returns
+//
+// A query is narrowed by halving one qualifier range at a time: followers
+// first, then account creation date, then repository count. Each half is
+// searched (and split again if needed) on its own.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Earliest account creation date on GitHub
+const FIRST_ACCOUNT_DATE = '2007-10-01';
+
+// Find a qualifier like "followers:>100" in a query; returns { match, value } or null
+function findQualifier(query, name) {
+    const match = query.match(new RegExp(`(^|\\s)${name}:(\\S+)`));
+    return match ? { match: match[0].trim(), value: match[2] } : null;
+}
+
+// Replace a qualifier, or append it if the query doesn't have one
+function setQualifier(query, name, value) {
+    const existing = findQualifier(query, name);
+    const qualifier = `${name}:${value}`;
+    return existing ? query.replace(existing.match, qualifier) : `${query} ${qualifier}`;
+}
+
+// Parse a range qualifier value (">N", ">=N", "<N", "<=N", "A..B", "A..*", "N") into [min, max]
+// `parse` converts a bound, `step` moves it by one unit (1 for numbers, a day for dates).
+function parseRange(value, parse, step, lowest, highest) {
+    let match;
+    if ((match = value.match(/^>=(.+)$/))) return [parse(match[1]), highest];
+    if ((match = value.match(/^>(.+)$/))) return [step(parse(match[1]), 1), highest];
+    if ((match = value.match(/^<=(.+)$/))) return [lowest, parse(match[1])];
+    if ((match = value.match(/^<(.+)$/))) return [lowest, step(parse(match[1]), -1)];
+    if ((match = value.match(/^(.+)\.\.(.+)$/))) {
+        return [match[1] === '*' ? lowest : parse(match[1]), match[2] === '*' ? highest : parse(match[2])];
+    }
+    const exact = parse(value);
+    return [exact, exact];
+}
+
+// Numeric ranges (followers, repos); open-ended ranges are split at twice the lower bound
+function splitCountRange(value) {
+    const parse = text => {
+        const number = Number(text);
+        if (!Number.isInteger(number)) throw new Error(`Not a count: ${text}`);
+        return number;
+    };
+    const [min, max] = parseRange(value, parse, (number, by) => number + by, 0, Infinity);
+    if (min >= max) return null;
+    
+    const middle = max === Infinity ? Math.max(min * 2, min + 10) : Math.floor((min + max) / 2);
+    const format = number => number === Infinity ? '*' : String(number);
+    return [`${format(min)}..${format(middle)}`, `${format(middle + 1)}..${format(max)}`];
+}
+
+// Date ranges (created); open-ended ranges run from GitHub's launch to today
+function splitDateRange(value) {
+    const parse = text => {
+        const time = Date.parse(text.slice(0, 10));
+        if (isNaN(time)) throw new Error(`Not a date: ${text}`);
+        return time;
+    };
+    const today = Date.parse(new Date().toISOString().slice(0, 10));
+    const [min, max] = parseRange(value, parse, (time, by) => time + by * DAY_MS, Date.parse(FIRST_ACCOUNT_DATE), today);
+    if (min >= max) return null;
+    
+    const middle = min + Math.floor((max - min) / DAY_MS / 2) * DAY_MS;
+    const format = time => new Date(time).toISOString().slice(0, 10);
+    return [`${format(min)}..${format(middle)}`, `${format(middle + DAY_MS)}..${format(max)}`];
+}
+
+// Qualifiers tried in order, with the full range used when a query doesn't have one
+const SPLIT_QUALIFIERS = [
+    { name: 'followers', split: splitCountRange, all: '>=0' },
+    { name: 'created', split: splitDateRange, all: `>=${FIRST_ACCOUNT_DATE}` },
+    { name: 'repos', split: splitCountRange, all: '>=0' }
+];
+
+// Split a search query into two narrower ones; returns null when it can't be narrowed further
+function splitSearchQuery(query) {
+    for (const qualifier of SPLIT_QUALIFIERS) {
+        const existing = findQualifier(query, qualifier.name);
+        
+        let halves = null;
+        try {
+            halves = qualifier.split(existing ? existing.value : qualifier.all);
+        } catch (error) {
+            continue; // A value we can't parse, try the next qualifier
+        }
+        
+        if (halves) {
+            return halves.map(half => setQualifier(query, qualifier.name, half));
+        }
+    }
+    
+    return null;
+}
+
+module.exports = { splitSearchQuery };
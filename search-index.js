@@ -0,0 +1,224 @@
+// Search index over developers' login, name, company, location and bio
+//
+// Built by the pipeline (`node cli.js index` writes data/search-index.json) and
+// queried in the browser. Each term has a postings list of developer/weight pairs;
+// the weight adds up the boosts of the fields the term appears in, so a match
+// in a login counts for more than one in a bio.
+
+// Field boosts
+const SEARCH_FIELDS = {
+    login: 5,
+    name: 4,
+    company: 2,
+    location: 2,
+    bio: 1
+};
+
+// How much a query word counts depending on how it matched a term
+const MATCH_SCORES = {
+    exact: 1,
+    prefix: 0.7,                    // "torv" while typing "torvalds"
+    typo: 0.5                       // "torvlads"
+};
+
+// Words shorter than these get no typo tolerance; one and two edits allowed
+const TYPO_MIN_LENGTH = [4, 8];
+
+// Lowercase words without accents; "C++" and "C#" stay words, "@github" becomes "github"
+function tokenize(text) {
+    return (text || '')
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .split(/[^\p{L}\p{N}+#]+/u)
+        .filter(Boolean);
+}
+
+// Build the index for a list of developer records
+function buildSearchIndex(developers) {
+    const postings = new Map();
+    
+    developers.forEach((dev, doc) => {
+        const weights = new Map();
+        for (const [field, boost] of Object.entries(SEARCH_FIELDS)) {
+            const text = field === 'location' ? `${dev.location || ''} ${dev.location_normalized || ''}` : dev[field];
+            new Set(tokenize(text)).forEach(term => weights.set(term, (weights.get(term) || 0) + boost));
+        }
+        
+        weights.forEach((weight, term) => {
+            if (!postings.has(term)) postings.set(term, []);
+            postings.get(term).push(doc, weight);
+        });
+    });
+    
+    const terms = [...postings.keys()].sort();
+    return {
+        fields: SEARCH_FIELDS,
+        // What a result shows and where the map flies to, for developers whose data isn't loaded
+        developers: {
+            login: developers.map(dev => dev.login),
+            name: developers.map(dev => dev.name || null),
+            location: developers.map(dev => dev.location_normalized || dev.location || null),
+            followers: developers.map(dev => dev.followers || 0),
+            lat: developers.map(dev => dev.coordinates ? dev.coordinates.lat : null),
+            lng: developers.map(dev => dev.coordinates ? dev.coordinates.lng : null)
+        },
+        terms,
+        postings: terms.map(term => postings.get(term))
+    };
+}
+
+// Edit distance counting swapped neighbours as one edit; gives up above `max`
+function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    
+    let beforePrevious = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const row = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            let value = Math.min(
+                previous[j] + 1,
+                row[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, beforePrevious[j - 2] + 1);
+            }
+            row.push(value);
+            rowMin = Math.min(rowMin, value);
+        }
+        if (rowMin > max) return max + 1;
+        beforePrevious = previous;
+        previous = row;
+    }
+    return previous[b.length];
+}
+
+// The distinct two-letter sequences in a word
+function bigrams(word) {
+    const result = new Set();
+    for (let i = 0; i < word.length - 1; i++) {
+        result.add(word.slice(i, i + 2));
+    }
+    return result;
+}
+
+// Query a built index
+function createSearcher(index) {
+    const { terms, postings, developers } = index;
+    
+    // Position of the first term >= word
+    function lowerBound(word) {
+        let low = 0;
+        let high = terms.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (terms[middle] < word) low = middle + 1;
+            else high = middle;
+        }
+        return low;
+    }
+    
+    // Term positions by the two-letter sequences in them, built on the first typo lookup
+    let termsByBigram = null;
+    function getTermsByBigram() {
+        if (!termsByBigram) {
+            termsByBigram = new Map();
+            terms.forEach((term, i) => {
+                bigrams(term).forEach(bigram => {
+                    if (!termsByBigram.has(bigram)) termsByBigram.set(bigram, []);
+                    termsByBigram.get(bigram).push(i);
+                });
+            });
+        }
+        return termsByBigram;
+    }
+    
+    // Terms that could be a typo of `word`: about as long, and sharing its first letter or a bigram.
+    // With the lengths in TYPO_MIN_LENGTH that misses nothing: one edit to a word of 4+ letters keeps
+    // its first letter or one of its bigrams, two edits to 8+ letters keep at least one of 7 bigrams.
+    function typoCandidates(word, maxEdits) {
+        const candidates = new Set();
+        const firstLetter = word.codePointAt(0);
+        const firstLetterEnd = lowerBound(String.fromCodePoint(firstLetter + 1));
+        for (let i = lowerBound(String.fromCodePoint(firstLetter)); i < firstLetterEnd; i++) {
+            candidates.add(i);
+        }
+        const index = getTermsByBigram();
+        bigrams(word).forEach(bigram => {
+            (index.get(bigram) || []).forEach(i => candidates.add(i));
+        });
+        return [...candidates].filter(i => Math.abs(terms[i].length - word.length) <= maxEdits);
+    }
+    
+    // Terms a query word matches, as term position -> match score
+    function matchTerms(word) {
+        const matches = new Map();
+        
+        for (let i = lowerBound(word); i < terms.length && terms[i].startsWith(word); i++) {
+            matches.set(i, terms[i] === word ? MATCH_SCORES.exact : MATCH_SCORES.prefix);
+        }
+        
+        const maxEdits = TYPO_MIN_LENGTH.filter(length => word.length >= length).length;
+        if (maxEdits > 0) {
+            typoCandidates(word, maxEdits).forEach(i => {
+                if (!matches.has(i) && editDistance(word, terms[i], maxEdits) <= maxEdits) {
+                    matches.set(i, MATCH_SCORES.typo);
+                }
+            });
+        }
+        
+        return matches;
+    }
+    
+    return {
+        // Developers matching every word of the query, best first:
+        // [{ login, name, location, followers, lat, lng, score }]
+        search(query, limit = 20) {
+            const words = tokenize(query);
+            if (words.length === 0) return [];
+            
+            let scores = null;
+            for (const word of words) {
+                // A developer's best match for this word
+                const wordScores = new Map();
+                matchTerms(word).forEach((matchScore, term) => {
+                    const list = postings[term];
+                    for (let i = 0; i < list.length; i += 2) {
+                        const score = matchScore * list[i + 1];
+                        if (score > (wordScores.get(list[i]) || 0)) wordScores.set(list[i], score);
+                    }
+                });
+                
+                if (scores === null) {
+                    scores = wordScores;
+                } else {
+                    const combined = new Map();
+                    scores.forEach((score, doc) => {
+                        if (wordScores.has(doc)) combined.set(doc, score + wordScores.get(doc));
+                    });
+                    scores = combined;
+                }
+            }
+            
+            return [...scores]
+                .map(([doc, score]) => ({
+                    login: developers.login[doc],
+                    name: developers.name[doc],
+                    location: developers.location[doc],
+                    followers: developers.followers[doc],
+                    lat: developers.lat[doc],
+                    lng: developers.lng[doc],
+                    score
+                }))
+                .sort((a, b) => b.score - a.score || b.followers - a.followers)
+                .slice(0, limit);
+        }
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { tokenize, buildSearchIndex, createSearcher };
+}
@@ -0,0 +1,262 @@
+const fs = require('fs');
+const path = require('path');
+
+// Search strategy packs for the downloader
+//
+// A pack is a JSON or YAML file listing strategies. Each strategy has a `type`
+// (used for --queries and progress keys) and either fixed `queries` or a
+// `template` expanded for every item of its `for_each` lists:
+//
+//   lists:
+//     cities: [Oslo, Bergen]
+//   strategies:
+//     - type: location
+//       priority: 30
+//       max_developers: 200
+//       variables: { min: 50 }
+//       template: 'location:"{city}" followers:>{min}'
+//       for_each: { city: cities }
+//
+// `for_each` values are either the name of a pack-level list or an inline list.
+// List items can be objects to override variables per item ({ city: Oslo, min: 20 }).
+
+// Remove a trailing comment, ignoring # inside quotes
+function stripYamlComment(line) {
+    let quote = null;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quote) {
+            if (char === quote) quote = null;
+        } else if (char === '"' || char === "'") {
+            quote = char;
+        } else if (char === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+            return line.slice(0, i);
+        }
+    }
+    return line;
+}
+
+// Split a flow collection body on top-level commas
+function splitFlowItems(body) {
+    const items = [];
+    let depth = 0;
+    let quote = null;
+    let current = '';
+    
+    for (const char of body) {
+        if (quote) {
+            if (char === quote) quote = null;
+        } else if (char === '"' || char === "'") {
+            quote = char;
+        } else if (char === '[' || char === '{') {
+            depth++;
+        } else if (char === ']' || char === '}') {
+            depth--;
+        } else if (char === ',' && depth === 0) {
+            items.push(current);
+            current = '';
+            continue;
+        }
+        current += char;
+    }
+    
+    if (current.trim()) items.push(current);
+    return items.map(item => item.trim());
+}
+
+// Split "key: value" into its parts; returns null if the text isn't a mapping entry
+function splitYamlEntry(text) {
+    const match = text.match(/^("[^"]*"|'[^']*'|[^'"\s[{][^:]*?)\s*:(?:\s+(.*)|$)/);
+    if (!match) return null;
+    return { key: parseYamlScalar(match[1]), value: match[2] === undefined ? '' : match[2].trim() };
+}
+
+// Parse a scalar, quoted string or flow collection ([a, b] / { a: 1 })
+function parseYamlScalar(text) {
+    const value = text.trim();
+    
+    if (value.startsWith('"')) return JSON.parse(value);
+    if (value.startsWith("'")) return value.slice(1, -1).replace(/''/g, "'");
+    if (value.startsWith('[')) return splitFlowItems(value.slice(1, -1)).map(parseYamlScalar);
+    if (value.startsWith('{')) {
+        const object = {};
+        splitFlowItems(value.slice(1, -1)).forEach(item => {
+            const entry = splitYamlEntry(item);
+            if (!entry) throw new Error(`Invalid YAML mapping entry: ${item}`);
+            object[entry.key] = parseYamlScalar(entry.value);
+        });
+        return object;
+    }
+    if (value === '' || value === '~' || value === 'null') return null;
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+    if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+    return value;
+}
+
+// Minimal YAML reader for strategy packs: block mappings and sequences,
+// flow collections, quoted strings, numbers, booleans and comments
+function parseYaml(source) {
+    const lines = source
+        .split(/\r?\n/)
+        .map((raw, number) => ({ raw: stripYamlComment(raw).replace(/\s+$/, ''), number: number + 1 }))
+        .filter(line => line.raw.trim() !== '' && line.raw.trim() !== '---')
+        .map(line => ({ indent: line.raw.match(/^ */)[0].length, text: line.raw.trim(), number: line.number }));
+    
+    const isSequenceItem = text => text === '-' || text.startsWith('- ');
+    let position = 0;
+    
+    function parseBlock(indent) {
+        return isSequenceItem(lines[position].text) ? parseSequence(indent) : parseMapping(indent);
+    }
+    
+    function parseNested(indent) {
+        // "key:" followed by more-indented lines, or a sequence at the same indent
+        const next = lines[position];
+        if (next && (next.indent > indent || (next.indent === indent && isSequenceItem(next.text)))) {
+            return parseBlock(next.indent);
+        }
+        return null;
+    }
+    
+    function parseSequence(indent) {
+        const items = [];
+        
+        while (position < lines.length && lines[position].indent === indent && isSequenceItem(lines[position].text)) {
+            const line = lines[position];
+            const rest = line.text.slice(1).trim();
+            
+            if (rest === '') {
+                position++;
+                items.push(parseNested(indent + 1));
+            } else if (!/^[[{]/.test(rest) && splitYamlEntry(rest)) {
+                // "- key: value" starts a mapping indented past the dash
+                const itemIndent = indent + line.text.length - rest.length;
+                lines[position] = { ...line, indent: itemIndent, text: rest };
+                items.push(parseMapping(itemIndent));
+            } else {
+                position++;
+                items.push(parseYamlScalar(rest));
+            }
+        }
+        
+        return items;
+    }
+    
+    function parseMapping(indent) {
+        const object = {};
+        
+        while (position < lines.length && lines[position].indent === indent && !isSequenceItem(lines[position].text)) {
+            const line = lines[position];
+            const entry = splitYamlEntry(line.text);
+            if (!entry) {
+                throw new Error(`Invalid YAML on line ${line.number}: ${line.text}`);
+            }
+            
+            position++;
+            object[entry.key] = entry.value === '' ? parseNested(indent) : parseYamlScalar(entry.value);
+        }
+        
+        if (position < lines.length && lines[position].indent > indent) {
+            throw new Error(`Unexpected indentation on line ${lines[position].number}`);
+        }
+        return object;
+    }
+    
+    if (lines.length === 0) return null;
+    const result = parseBlock(lines[0].indent);
+    if (position < lines.length) {
+        throw new Error(`Unexpected content on line ${lines[position].number}: ${lines[position].text}`);
+    }
+    return result;
+}
+
+// Fill {placeholders} in a query template
+function renderTemplate(template, variables, label) {
+    return template.replace(/\{(\w+)\}/g, (placeholder, name) => {
+        if (variables[name] === undefined || variables[name] === null) {
+            throw new Error(`${label}: no value for ${placeholder}`);
+        }
+        return String(variables[name]);
+    });
+}
+
+// Every combination of the for_each lists, as variable objects
+function expandForEach(forEach, lists, label) {
+    let combinations = [{}];
+    
+    for (const [name, source] of Object.entries(forEach || {})) {
+        const items = typeof source === 'string' ? lists[source] : source;
+        if (!Array.isArray(items)) {
+            throw new Error(`${label}: for_each.${name} must be a list or the name of one`);
+        }
+        
+        combinations = combinations.flatMap(combination =>
+            items.map(item => (item !== null && typeof item === 'object')
+                ? { ...combination, ...item }
+                : { ...combination, [name]: item })
+        );
+    }
+    
+    return combinations;
+}
+
+// Turn one strategy definition into { type, name, priority, max_developers, max_pages, queries }
+function expandStrategy(strategy, pack, defaults) {
+    const label = `${pack.file}: strategy "${strategy.name || strategy.type}"`;
+    if (!strategy.type) {
+        throw new Error(`${label}: missing type`);
+    }
+    
+    const variables = { ...defaults.variables, ...pack.variables, ...strategy.variables };
+    let queries = (strategy.queries || []).map(query => renderTemplate(query, variables, label));
+    
+    if (strategy.template) {
+        queries = queries.concat(
+            expandForEach(strategy.for_each, pack.lists || {}, label)
+                .map(item => renderTemplate(strategy.template, { ...variables, ...item }, label))
+        );
+    }
+    
+    if (queries.length === 0) {
+        throw new Error(`${label}: needs queries or a template`);
+    }
+    
+    return {
+        type: strategy.type,
+        name: strategy.name || strategy.type,
+        priority: strategy.priority ?? 0,
+        max_developers: strategy.max_developers ?? null,
+        max_pages: strategy.max_pages ?? defaults.maxPages,
+        queries: [...new Set(queries)]
+    };
+}
+
+// Read a JSON or YAML strategy pack
+function loadStrategyFile(file) {
+    const source = fs.readFileSync(file, 'utf8');
+    const pack = /\.ya?ml$/i.test(file) ? parseYaml(source) : JSON.parse(source);
+    
+    if (!pack || !Array.isArray(pack.strategies)) {
+        throw new Error(`${file}: expected a "strategies" list`);
+    }
+    return { ...pack, file: path.basename(file) };
+}
+
+// Load and expand strategies from all packs, highest priority first
+// `defaults.variables` are available to every template (e.g. { min: 50 }).
+function loadSearchStrategies(files, defaults = {}) {
+    const strategies = [];
+    
+    for (const file of files) {
+        const pack = loadStrategyFile(file);
+        pack.strategies
+            .filter(strategy => strategy.enabled !== false)
+            .forEach(strategy => strategies.push(expandStrategy(strategy, pack, defaults)));
+    }
+    
+    // Stable sort keeps file order for equal priorities
+    return strategies.sort((a, b) => b.priority - a.priority);
+}
+
+module.exports = { loadSearchStrategies, loadStrategyFile, parseYaml, renderTemplate };
@@ -0,0 +1,55 @@
+// Social network links from a GitHub profile
+//
+// Used by the downloader for new records and by the schema migration, so records
+// from older downloads without a `social` object are filled in the same way.
+
+// Extract social networks from GitHub profile
+function extractSocialLinks(userDetails) {
+    const social = {};
+    
+    // GitHub provides these fields directly
+    if (userDetails.blog) {
+        const blog = userDetails.blog.startsWith('http') ? userDetails.blog : `https://${userDetails.blog}`;
+        social.website = blog;
+        
+        // Try to detect social networks from website URL
+        if (blog.includes('twitter.com') || blog.includes('x.com')) {
+            social.twitter = blog;
+        } else if (blog.includes('linkedin.com')) {
+            social.linkedin = blog;
+        } else if (blog.includes('youtube.com') || blog.includes('youtu.be')) {
+            social.youtube = blog;
+        }
+    }
+    
+    if (userDetails.twitter_username) {
+        social.twitter = `https://twitter.com/${userDetails.twitter_username}`;
+    }
+    
+    // Parse bio for social links
+    if (userDetails.bio) {
+        const bio = userDetails.bio;
+        
+        // Twitter patterns
+        const twitterMatch = bio.match(/(?:twitter\.com\/|@)([a-zA-Z0-9_]+)/i);
+        if (twitterMatch && !social.twitter) {
+            social.twitter = `https://twitter.com/${twitterMatch[1]}`;
+        }
+        
+        // LinkedIn patterns
+        const linkedinMatch = bio.match(/linkedin\.com\/in\/([a-zA-Z0-9-]+)/i);
+        if (linkedinMatch) {
+            social.linkedin = `https://linkedin.com/in/${linkedinMatch[1]}`;
+        }
+        
+        // YouTube patterns
+        const youtubeMatch = bio.match(/(?:youtube\.com\/(?:c\/|channel\/|@)|youtu\.be\/)([a-zA-Z0-9_-]+)/i);
+        if (youtubeMatch) {
+            social.youtube = `https://youtube.com/@${youtubeMatch[1]}`;
+        }
+    }
+    
+    return social;
+}
+
+module.exports = { extractSocialLinks };
@@ -0,0 +1,122 @@
+// Shareable state in the URL hash
+//
+//   #map=12/52.5200/13.4050&languages=Rust,Go&followers=1000-&stars=-5000
+//    &company=github&country=DE&created=2015-01-01&view=list&sort=followers&developer=torvalds
+//    &near=52.5200/13.4050/50&place=Berlin
+//
+//   map        - zoom/lat/lng of the map view
+//   languages, followers, stars, company, country, created - the filters (see developer-filters.js);
+//                ranges are "min-max" with either end left out when open
+//   view       - 'list' or 'dashboard' (the map is the default)
+//   sort       - list sort field
+//   developer  - login of the developer in the profile panel
+//   near       - lat/lng/km of a radius search, with `place` naming the searched place
+//
+// Values left at their defaults are left out, and anything that doesn't parse is ignored.
+
+const URL_STATE_DEFAULTS = {
+    view: 'map',
+    sort: 'total_stars'
+};
+
+const COORDINATE_DECIMALS = 4; // ~10 m, plenty for a shared view
+
+// "min-max" for a range; empty when both ends are open
+function encodeRange([min, max]) {
+    if (min === null && max === null) return '';
+    return `${min ?? ''}-${max ?? ''}`;
+}
+
+// [min, max] from "min-max", or null if it doesn't parse
+function decodeRange(value) {
+    const match = /^(\d*)-(\d*)$/.exec(value || '');
+    if (!match || (!match[1] && !match[2])) return null;
+    return [match[1] ? Number(match[1]) : null, match[2] ? Number(match[2]) : null];
+}
+
+// URL hash (without "#") for { zoom, center: { lat, lng }, filters, view, sort, developer, near }
+// `near` is a radius search: { lat, lng, radiusKm, place }
+function encodeUrlState(state) {
+    const params = new URLSearchParams();
+    const set = (name, value) => {
+        if (value) params.set(name, value);
+    };
+    
+    if (state.center && state.zoom !== undefined) {
+        const zoom = Math.round(state.zoom * 100) / 100;
+        set('map', `${zoom}/${state.center.lat.toFixed(COORDINATE_DECIMALS)}/${state.center.lng.toFixed(COORDINATE_DECIMALS)}`);
+    }
+    
+    const filters = state.filters;
+    if (filters) {
+        set('languages', filters.languages.join(','));
+        set('followers', encodeRange(filters.followers));
+        set('stars', encodeRange(filters.stars));
+        set('company', filters.company.trim());
+        set('country', filters.country);
+        set('created', filters.createdAfter);
+    }
+    
+    if (state.view !== URL_STATE_DEFAULTS.view) set('view', state.view);
+    if (state.sort !== URL_STATE_DEFAULTS.sort) set('sort', state.sort);
+    set('developer', state.developer);
+    
+    if (state.near) {
+        set('near', `${state.near.lat.toFixed(COORDINATE_DECIMALS)}/${state.near.lng.toFixed(COORDINATE_DECIMALS)}/${state.near.radiusKm}`);
+        set('place', state.near.place);
+    }
+    
+    // Keep commas, slashes and "@" readable; URLSearchParams escapes them
+    return params.toString().replace(/%2C/g, ',').replace(/%2F/g, '/').replace(/%40/g, '@');
+}
+
+// State from a URL hash (with or without "#")
+// Returns { viewport: { lat, lng, zoom } | null, filters, view, sort, developer, near }; filters only
+// holds the filters the hash sets, the other values are null when the hash doesn't set them.
+function decodeUrlState(hash) {
+    const params = new URLSearchParams((hash || '').replace(/^#/, ''));
+    const state = { viewport: null, filters: {}, view: null, sort: null, developer: null, near: null };
+    
+    const viewport = (params.get('map') || '').split('/').map(Number);
+    if (viewport.length === 3 && viewport.every(Number.isFinite) &&
+        Math.abs(viewport[1]) <= 90 && Math.abs(viewport[2]) <= 180) {
+        state.viewport = { zoom: viewport[0], lat: viewport[1], lng: viewport[2] };
+    }
+    
+    const filters = state.filters;
+    if (params.get('languages')) {
+        filters.languages = params.get('languages').split(',').map(language => language.trim()).filter(Boolean);
+    }
+    if (decodeRange(params.get('followers'))) filters.followers = decodeRange(params.get('followers'));
+    if (decodeRange(params.get('stars'))) filters.stars = decodeRange(params.get('stars'));
+    if (params.get('company')) filters.company = params.get('company');
+    if (/^[A-Z]{2}$/.test(params.get('country'))) filters.country = params.get('country');
+    if (/^\d{4}-\d{2}-\d{2}$/.test(params.get('created'))) filters.createdAfter = params.get('created');
+    
+    if (['map', 'list', 'dashboard'].includes(params.get('view'))) state.view = params.get('view');
+    state.sort = params.get('sort') || null;
+    state.developer = params.get('developer') || null;
+    
+    const near = (params.get('near') || '').split('/').map(Number);
+    if (near.length === 3 && near.every(Number.isFinite) &&
+        Math.abs(near[0]) <= 90 && Math.abs(near[1]) <= 180 && near[2] > 0) {
+        state.near = { lat: near[0], lng: near[1], radiusKm: near[2], place: params.get('place') || null };
+    }
+    
+    return state;
+}
+
+// Whether two hashes differ in more than the map viewport
+// Panning and zooming replace the current history entry instead of adding one.
+function differsBeyondViewport(a, b) {
+    const strip = hash => {
+        const params = new URLSearchParams((hash || '').replace(/^#/, ''));
+        params.delete('map');
+        return params.toString();
+    };
+    return strip(a) !== strip(b);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { encodeUrlState, decodeUrlState, differsBeyondViewport };
+}